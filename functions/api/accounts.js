@@ -0,0 +1,9 @@
+// The dashboard's account switcher needs account IDs, which this public deployment does not
+// publish, so the Pages deployment lists no accounts and the switcher stays hidden. Pick an
+// account with `account=<id>` or `account=all` instead.
+export async function onRequest() {
+  return new Response(JSON.stringify({ accounts: [], default: null }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
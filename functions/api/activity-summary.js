@@ -1,19 +1,45 @@
+import {
+  allAccountsKey,
+  createRedactor,
+  createRequestLimiter,
+  describeAnomalyOptions,
+  describeDomainGrouping,
+  describeLogFilter,
+  fetchAccountsLogs,
+  isDefaultDomainGrouping,
+  parseAccountSelection,
+  parseAnomalyOptions,
+  parseDomainGrouping,
+  parseLogFilter,
+  readParam,
+  resolveAccounts,
+  resolveAnomalyOptions,
+  resolveFetchOptions,
+  resolveRangeRequest,
+  resolveRedactionOptions,
+  summarizeGatewayLogs,
+} from '../../lib/index.js';
+
+// Shared by every request this isolate serves, so overlapping refreshes stay within
+// BBSTATS_MAX_CONCURRENT_REQUESTS.
+let requestLimiter = null;
+
 export async function onRequest(context) {
   const { request, env, waitUntil } = context;
 
   // Configurable cache TTL (ms). Prefer long TTL to reduce function runs.
   const DEFAULT_TTL_MS = Number(env.BBSTATS_CACHE_TTL_MS) || 6 * 60 * 60 * 1000; // 6 hours
 
-  const sanitize = (v) => (typeof v === 'string' ? v.trim() : undefined);
-  const isPlaceholder = (v) => typeof v === 'string' && /^YOUR_[A-Z0-9_]+$/.test(v.trim());
-
-  const accountIdCandidates = [env.CLOUDFLARE_ACCOUNT_ID, env.CF_ACCOUNT_ID, env.CF_ACCOUNT];
-  const apiTokenCandidates = [env.CLOUDFLARE_API_TOKEN, env.CF_TOKEN, env.CF_API_TOKEN];
-
-  const accountId = sanitize(accountIdCandidates.find((c) => sanitize(c) && !isPlaceholder(c)));
-  const apiToken = sanitize(apiTokenCandidates.find((c) => sanitize(c) && !isPlaceholder(c)));
+  // Several accounts can be listed in BBSTATS_ACCOUNTS, the JSON of config/accounts.json;
+  // otherwise CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN name the only one.
+  let accounts = [];
+  try {
+    accounts = resolveAccounts(env.BBSTATS_ACCOUNTS ? JSON.parse(env.BBSTATS_ACCOUNTS) : null, env).accounts;
+  } catch (err) {
+    console.error('Ignoring BBSTATS_ACCOUNTS:', err);
+  }
 
-  if (!accountId || !apiToken) {
+  if (!accounts.length) {
     return new Response(JSON.stringify({
       error: 'Missing CLOUDFLARE_ACCOUNT_ID or CLOUDFLARE_API_TOKEN.',
       topBlocked: [],
@@ -21,12 +47,54 @@ export async function onRequest(context) {
     }), { status: 500, headers: { 'Content-Type': 'application/json' } });
   }
 
+  // Summaries are public, so they pass through the redaction profile (default `safe`).
+  let redactor;
+  try {
+    const { profile, key } = resolveRedactionOptions(env);
+    redactor = createRedactor(profile, { key });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: err.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
   const url = new URL(request.url);
-  const requestedRange = (url.searchParams.get('range') || '7d').toLowerCase();
+  let rangeDescriptor;
+  let grouping;
+  let anomalies;
+  let defaultAnomalies;
+  let selection;
+  try {
+    selection = parseAccountSelection(url.searchParams, accounts);
+    rangeDescriptor = resolveRangeRequest(url.searchParams);
+    grouping = parseDomainGrouping(url.searchParams);
+    defaultAnomalies = resolveAnomalyOptions(env);
+    anomalies = parseAnomalyOptions(url.searchParams, defaultAnomalies);
+  } catch (err) {
+    return new Response(JSON.stringify({ error: err.message }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+  const requestedRange = rangeDescriptor.key;
   const forceRefresh = url.searchParams.get('force') === '1' || url.searchParams.get('force') === 'true';
+  const filter = parseLogFilter(url.searchParams);
+  // Like server.js viewers, anonymous visitors may not probe for a user or device the
+  // redaction profile hides.
+  const hiddenFilter = redactor.hiddenFilters.find((key) => filter?.[key]);
+  if (hiddenFilter) {
+    return new Response(JSON.stringify({ error: `Filtering by ${hiddenFilter === 'user' ? 'user' : 'device'} is not available here.` }), {
+      status: 403,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-  // Create a cache key derived from the range and account
-  const cacheKeyPath = `/bbstats/activity-summary/${accountId}/${requestedRange}`;
+  // Create a cache key derived from the account selection, range, domain grouping, anomaly settings and any log filter
+  const groupingSegment = isDefaultDomainGrouping(grouping) ? '' : `/${describeDomainGrouping(grouping)}`;
+  const anomalySegment = describeAnomalyOptions(anomalies) === describeAnomalyOptions(defaultAnomalies) ? '' : `/anomalies:${describeAnomalyOptions(anomalies)}`;
+  const filterSuffix = filter ? `?${describeLogFilter(filter)}` : '';
+  const cacheKeyPath = `/bbstats/activity-summary/${selection.key}/${requestedRange}${groupingSegment}${anomalySegment}${filterSuffix}`;
   const cacheUrl = new URL(cacheKeyPath, request.url);
   const cacheRequest = new Request(cacheUrl.toString(), { method: 'GET' });
   const cache = caches.default;
@@ -37,77 +105,42 @@ export async function onRequest(context) {
     return Date.now() - entry.meta.fetchedAt < DEFAULT_TTL_MS;
   };
 
-  // Helper: basic blocked-detection similar to server.js
-  const isBlocked = (log) => {
-    const actionField = log?.action_name ?? log?.action ?? '';
-    if (/\b(block|blocked)\b/i.test(actionField)) return true;
-    if (log?.blocked === true) return true;
-    if (typeof log?.decision === 'string' && /block/i.test(log.decision)) return true;
-    return false;
-  };
-
-  const extractDomain = (log) => {
-    const candidate = log?.query ?? log?.hostname ?? log?.sni ?? log?.domain ?? 'unknown';
-    return String(candidate).toLowerCase();
-  };
-
-  // Summarize logs (top blocked + totals)
-  const summarizeLogs = (logs) => {
-    const domainCounts = new Map();
-    let blockedCount = 0;
-    let allowedCount = 0;
-
-    (logs || []).forEach((log) => {
-      if (isBlocked(log)) {
-        blockedCount += 1;
-        const domain = extractDomain(log);
-        domainCounts.set(domain, (domainCounts.get(domain) || 0) + 1);
-      } else {
-        allowedCount += 1;
-      }
-    });
-
-    const topBlocked = Array.from(domainCounts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 10)
-      .map(([name, count]) => ({ name, count }));
-
-    return { topBlocked, totals: { blocked: blockedCount, allowed: allowedCount } };
-  };
-
   // Fetch from Cloudflare API and cache the structured summary
   const fetchAndCache = async () => {
     try {
-      const baseUrl = `https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway-analytics/activities`;
-      const apiUrl = new URL(baseUrl);
-      // Keep to a single, reasonably-sized call; this avoids long multi-segment fetches in the edge.
-      apiUrl.searchParams.set('limit', '1000');
-
-      const resp = await fetch(apiUrl.toString(), {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${apiToken}`,
-          Accept: 'application/json',
-        },
+      const fetchOptions = resolveFetchOptions(env);
+      requestLimiter = requestLimiter ?? createRequestLimiter(fetchOptions.maxConcurrentRequests);
+      const { logs: rawLogs, debug, accounts: fetchedAccounts } = await fetchAccountsLogs(selection.accounts, rangeDescriptor, {
+        ...fetchOptions,
+        fetch,
+        limiter: requestLimiter,
       });
 
-      if (!resp.ok) {
-        const text = await resp.text().catch(() => '');
-        throw new Error(`Cloudflare API responded ${resp.status}. ${text}`);
-      }
-
-      const payload = await resp.json().catch(() => ({}));
-      const logs = Array.isArray(payload?.result?.logs) ? payload.result.logs : [];
-
-      const summary = summarizeLogs(logs);
+      const accountNames = new Map(selection.accounts.map(({ id, name }, index) => [id, name === id ? `Account ${index + 1}` : name]));
+      const { summary, meta: summaryMeta } = summarizeGatewayLogs(rawLogs, rangeDescriptor, debug, { filter, grouping, anomalies });
       const meta = {
+        ...summaryMeta,
+        messages: [],
         fetchedAt: Date.now(),
         fromCache: false,
-        fetchedCount: logs.length,
+        fetchedCount: rawLogs.length,
         requestedRange,
+        // Responses are public, so accounts appear only by their configured names, and a failed
+        // account only as `failed` (its error may quote the account ID).
+        missingWindows: (summaryMeta.missingWindows ?? []).map(({ from, to, account }) =>
+          account ? { from, to, account: accountNames.get(account) } : { from, to }),
+        ...(fetchedAccounts.length > 1 ? { accounts: fetchedAccounts.map(({ id, fetchedCount, error }) => ({ name: accountNames.get(id), fetchedCount, ...(error ? { failed: true } : {}) })) } : {}),
       };
 
-      const body = JSON.stringify({ ...summary, meta, requestedRange });
+      const body = JSON.stringify({
+        ...redactor.redactSummary(summary),
+        account: selection.key === allAccountsKey ? allAccountsKey : readParam(url.searchParams, 'account') || null,
+        requestedRange,
+        range: meta.effectiveRangeKey ?? requestedRange,
+        rangeLabel: meta.effectiveRangeLabel ?? rangeDescriptor.label,
+        filter,
+        meta,
+      });
       const response = new Response(body, {
         status: 200,
         headers: {
@@ -0,0 +1,9 @@
+// Roles for the local server's built-in authentication (see lib/node/auth.js). Admins can do
+// everything; viewers see summaries but cannot force refreshes, export raw logs or filter by
+// user or device, and what they see passes through the viewer redaction profile (see
+// redaction.js).
+export const accessRoles = ['viewer', 'admin'];
+
+export function isAdmin(identity) {
+  return identity?.role === 'admin';
+}
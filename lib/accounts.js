@@ -0,0 +1,154 @@
+import { isPlaceholder, resolveCredentials, sanitize } from './config.js';
+import { fetchGatewayLogs } from './gateway-client.js';
+import { mergeFetchDebug } from './incremental.js';
+import { readParam } from './params.js';
+import { buildSegments, mergeWindows } from './ranges.js';
+
+// `account=all` summarizes every configured account together.
+export const allAccountsKey = 'all';
+
+// Account IDs end up in cache keys and directory names.
+const ACCOUNT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Normalizes an accounts config, `{ "accounts": [{ "id", "tokenEnv", "name" }] }`, where
+// `tokenEnv` names the environment variable holding that account's API token. Without one
+// the single account from CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN is used, and
+// `fromConfig` is false. Invalid entries are reported in `errors` and skipped.
+export function resolveAccounts(raw, env = {}) {
+  const errors = [];
+  if (raw?.accounts !== undefined && !Array.isArray(raw.accounts)) {
+    errors.push('"accounts" must be an array.');
+  }
+  const entries = Array.isArray(raw?.accounts) ? raw.accounts : [];
+  if (!entries.length) {
+    const { accountId, apiToken } = resolveCredentials(env);
+    return {
+      accounts: accountId && apiToken ? [{ id: accountId, name: accountId, apiToken }] : [],
+      errors,
+      fromConfig: false,
+    };
+  }
+
+  const accounts = [];
+  entries.forEach((entry, index) => {
+    const id = sanitize(entry?.id);
+    const label = id || `account ${index + 1}`;
+    const tokenEnv = sanitize(entry?.tokenEnv);
+    const apiToken = tokenEnv ? sanitize(env[tokenEnv]) : undefined;
+    if (!id || !ACCOUNT_ID_PATTERN.test(id)) {
+      errors.push(`${label}: "id" must be a Cloudflare account ID.`);
+    } else if (accounts.some((account) => account.id === id)) {
+      errors.push(`${label}: listed more than once.`);
+    } else if (!tokenEnv) {
+      errors.push(`${label}: "tokenEnv" must name the environment variable with its API token.`);
+    } else if (!apiToken || isPlaceholder(apiToken)) {
+      errors.push(`${label}: ${tokenEnv} is not set.`);
+    } else {
+      accounts.push({ id, name: sanitize(entry.name) || id, apiToken });
+    }
+  });
+  return { accounts, errors, fromConfig: true };
+}
+
+// Reads `account`: an account ID, `all`, or nothing for the first account. Returns the
+// selection's `key` (echoed back to clients) and the accounts it covers. Throws a RangeError
+// for unknown accounts so callers can answer with a 400.
+export function parseAccountSelection(params, accounts) {
+  const requested = readParam(params, 'account').trim();
+  if (!requested) {
+    return { key: accounts[0]?.id ?? null, accounts: accounts.slice(0, 1) };
+  }
+  if (requested.toLowerCase() === allAccountsKey) {
+    return { key: allAccountsKey, accounts };
+  }
+  const account = accounts.find(({ id }) => id === requested);
+  if (!account) {
+    throw new RangeError(`Unknown account "${requested}".`);
+  }
+  return { key: account.id, accounts: [account] };
+}
+
+// Public view of an account; never includes the token.
+export function describeAccount({ id, name }) {
+  return { id, name };
+}
+
+// Fetches `rangeDescriptor` for each account in turn, to stay within API rate limits, and
+// concatenates the logs. `options` are fetchGatewayLogs options without credentials;
+// `fetchLogs` and `storeFor(account)` swap in fetchGatewayLogsWithStore and a store per
+// account. `debug` merges every account's (see mergeFetchDebug), with `missingWindows` tagged
+// with `account` when there are several; `accounts` counts the logs of each. An account whose
+// fetch throws is reported with `error` and its range as missing, and the others are still
+// served; only when every account fails is the first error thrown.
+export async function fetchAccountsLogs(accounts, rangeDescriptor, options = {}) {
+  const { fetchLogs = fetchGatewayLogs, storeFor = null, ...fetchOptions } = options;
+  const logs = [];
+  const fetched = [];
+  const debugs = [];
+  const missingWindows = [];
+  let firstError = null;
+  for (const [index, account] of accounts.entries()) {
+    let debug;
+    try {
+      const result = await fetchLogs(rangeDescriptor, {
+        ...fetchOptions,
+        accountId: account.id,
+        apiToken: account.apiToken,
+        store: storeFor ? storeFor(account) : fetchOptions.store,
+      });
+      result.logs.forEach((log) => logs.push(log));
+      debug = result.debug ?? {};
+      fetched.push({ ...describeAccount(account), fetchedCount: result.logs.length });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      firstError = firstError ?? error;
+      // Lifetime ranges have no fixed start, so only bounded ones list the window.
+      const nowSeconds = fetchOptions.nowSeconds ?? Math.floor(Date.now() / 1000);
+      const failedWindows =
+        rangeDescriptor.days === null ? [] : mergeWindows(buildSegments(rangeDescriptor, nowSeconds));
+      debug = {
+        segmentsFailed: 1,
+        failedWindows,
+        missingWindows: failedWindows,
+        // Messages can end up in public summaries, so the account and error are not named here.
+        messages: [`Account ${index + 1} of ${accounts.length} could not be fetched; its logs are missing.`],
+      };
+      fetched.push({ ...describeAccount(account), fetchedCount: 0, error: error.message ?? String(error) });
+    }
+    debugs.push(debug);
+    (debug.missingWindows ?? []).forEach((window) =>
+      missingWindows.push(accounts.length > 1 ? { ...window, account: account.id } : window)
+    );
+  }
+  if (firstError && fetched.every((account) => account.error)) {
+    throw firstError;
+  }
+  if (debugs.length === 1) {
+    return { logs, debug: debugs[0], accounts: fetched };
+  }
+
+  // The effective range and store counts come from the accounts that were fetched.
+  const succeeded = debugs.filter((entry, index) => !fetched[index].error);
+  const [primary] = succeeded;
+  const merged = mergeFetchDebug(rangeDescriptor, debugs, fetchOptions.minSegmentSeconds);
+  const debug = {
+    ...merged,
+    effectiveRangeKey: primary.effectiveRangeKey ?? merged.effectiveRangeKey,
+    effectiveRangeLabel: primary.effectiveRangeLabel ?? merged.effectiveRangeLabel,
+    fallbackUsed: Boolean(primary.fallbackUsed),
+    historyExhausted: debugs.every((entry) => Boolean(entry.historyExhausted)),
+    limitReached: debugs.some((entry) => Boolean(entry.limitReached)),
+    missingWindows,
+  };
+  if (succeeded.some((entry) => entry.store)) {
+    debug.store = {};
+    succeeded.forEach((entry) => {
+      Object.entries(entry.store ?? {}).forEach(([field, value]) => {
+        debug.store[field] = (debug.store[field] ?? 0) + value;
+      });
+    });
+  }
+  return { logs, debug, accounts: fetched };
+}
@@ -0,0 +1,28 @@
+// Small counting helpers shared by the summary builders. A selector may return a single
+// key, an array of keys (multi-valued fields such as resolved country codes) or a nullish
+// value to skip the item.
+
+export function countBy(items, selector) {
+  const counts = new Map();
+  (items || []).forEach((item) => {
+    const selected = selector(item);
+    const keys = Array.isArray(selected) ? selected : [selected];
+    keys.forEach((key) => {
+      if (key === null || key === undefined || key === '') {
+        return;
+      }
+      counts.set(key, (counts.get(key) ?? 0) + 1);
+    });
+  });
+  return counts;
+}
+
+// How many entries top-N lists keep unless told otherwise.
+export const topEntryLimit = 10;
+
+export function topEntries(counts, limit = topEntryLimit) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name, count]) => ({ name, count }));
+}
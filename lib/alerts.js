@@ -0,0 +1,198 @@
+import { logCategoryIds } from './categories.js';
+import { groupDomain } from './grouping.js';
+import { extractDomain, extractLogTimestamp, isBlocked } from './logs.js';
+
+const DEFAULT_WINDOW_MINUTES = 60;
+const MINUTE_IN_MS = 60 * 1000;
+const ALERT_DOMAIN_LIMIT = 10;
+
+// Rule types and the fields each one needs. Every rule looks at the requests of the last
+// `windowMinutes` (default 60) and may set an `id`; otherwise one is derived from its position.
+// - blocked_count: more than `threshold` blocked requests, optionally only for `domain`.
+// - new_domain: a registrable domain, optionally limited to Gateway `category`, that had no
+//   requests earlier in the cached range. `blockedOnly` ignores allowed requests.
+// - domain_queried: any request for `domain` or one of its subdomains.
+export const alertRuleTypes = ['blocked_count', 'new_domain', 'domain_queried'];
+
+function normalizeDomainName(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase().replace(/\.$/, '') : '';
+}
+
+function matchesDomain(log, domain) {
+  const name = extractDomain(log);
+  return name === domain || name.endsWith(`.${domain}`);
+}
+
+// Validates the `rules` array of the alert config. Invalid rules are reported in `errors`
+// and skipped rather than failing the whole file.
+export function normalizeAlertRules(rawRules) {
+  const rules = [];
+  const errors = [];
+  if (rawRules !== undefined && !Array.isArray(rawRules)) {
+    return { rules, errors: ['"rules" must be an array.'] };
+  }
+  (rawRules || []).forEach((raw, index) => {
+    const id = typeof raw?.id === 'string' && raw.id.trim() ? raw.id.trim() : `rule-${index + 1}`;
+    const type = raw?.type;
+    if (!alertRuleTypes.includes(type)) {
+      errors.push(`${id}: unknown type "${type}"; use ${alertRuleTypes.join(', ')}.`);
+      return;
+    }
+    const windowMinutes = raw.windowMinutes === undefined ? DEFAULT_WINDOW_MINUTES : Number(raw.windowMinutes);
+    if (!Number.isFinite(windowMinutes) || windowMinutes <= 0) {
+      errors.push(`${id}: "windowMinutes" must be a positive number.`);
+      return;
+    }
+    const domain = normalizeDomainName(raw.domain);
+    const rule = { id, type, windowMinutes };
+
+    if (type === 'blocked_count') {
+      const threshold = Number(raw.threshold);
+      if (!Number.isFinite(threshold) || threshold < 0) {
+        errors.push(`${id}: "threshold" must be a number of at least 0.`);
+        return;
+      }
+      Object.assign(rule, { threshold, domain: domain || null });
+    } else if (type === 'new_domain') {
+      const category = raw.category === undefined ? null : Number(raw.category);
+      if (category !== null && !Number.isInteger(category)) {
+        errors.push(`${id}: "category" must be a Gateway category ID.`);
+        return;
+      }
+      Object.assign(rule, { category, blockedOnly: raw.blockedOnly === true });
+    } else {
+      if (!domain) {
+        errors.push(`${id}: "domain" is required.`);
+        return;
+      }
+      rule.domain = domain;
+    }
+    rules.push(rule);
+  });
+  return { rules, errors };
+}
+
+function evaluateRule(rule, logs, nowMs) {
+  const windowStart = nowMs - rule.windowMinutes * MINUTE_IN_MS;
+  const inWindow = (timestamp) => timestamp !== null && timestamp >= windowStart && timestamp <= nowMs;
+  const base = { rule: rule.id, type: rule.type, windowMinutes: rule.windowMinutes };
+
+  if (rule.type === 'blocked_count') {
+    const blocked = logs.filter(
+      (log) =>
+        isBlocked(log) &&
+        inWindow(extractLogTimestamp(log)) &&
+        (!rule.domain || matchesDomain(log, rule.domain))
+    ).length;
+    if (blocked <= rule.threshold) {
+      return [];
+    }
+    return [
+      {
+        ...base,
+        key: rule.id,
+        message: `${blocked} requests${rule.domain ? ` for ${rule.domain}` : ''} blocked in the last ${
+          rule.windowMinutes
+        } minutes (threshold ${rule.threshold}).`,
+        details: { blocked, threshold: rule.threshold, domain: rule.domain },
+      },
+    ];
+  }
+
+  if (rule.type === 'domain_queried') {
+    const matches = logs.filter((log) => inWindow(extractLogTimestamp(log)) && matchesDomain(log, rule.domain));
+    if (!matches.length) {
+      return [];
+    }
+    const blocked = matches.filter((log) => isBlocked(log)).length;
+    return [
+      {
+        ...base,
+        key: rule.id,
+        message: `${rule.domain} was queried ${matches.length} times in the last ${rule.windowMinutes} minutes (${blocked} blocked).`,
+        details: {
+          domain: rule.domain,
+          requests: matches.length,
+          blocked,
+          hostnames: Array.from(new Set(matches.map(extractDomain))).slice(0, ALERT_DOMAIN_LIMIT),
+        },
+      },
+    ];
+  }
+
+  // new_domain: the earliest request per registrable domain decides whether it is new.
+  const firstSeen = new Map();
+  logs.forEach((log) => {
+    if (rule.blockedOnly && !isBlocked(log)) {
+      return;
+    }
+    if (rule.category !== null && !logCategoryIds(log).includes(rule.category)) {
+      return;
+    }
+    const timestamp = extractLogTimestamp(log);
+    if (timestamp === null) {
+      return;
+    }
+    const name = groupDomain(extractDomain(log));
+    const known = firstSeen.get(name);
+    if (known === undefined || timestamp < known) {
+      firstSeen.set(name, timestamp);
+    }
+  });
+  return Array.from(firstSeen.entries())
+    .filter(([, timestamp]) => inWindow(timestamp))
+    .map(([name, timestamp]) => ({
+      ...base,
+      key: `${rule.id}:${name}`,
+      message: `New domain ${name}${rule.category !== null ? ` in category ${rule.category}` : ''} first seen at ${new Date(
+        timestamp
+      ).toISOString()}.`,
+      details: { domain: name, category: rule.category, firstSeen: new Date(timestamp).toISOString() },
+    }));
+}
+
+// Alerts raised by `rules` for the given (range-filtered) logs. `new_domain` compares against
+// the whole of `logs`, so a longer range gives it a longer memory. Each alert carries a `key`
+// for deduplication: one per rule, or per rule and domain for `new_domain`.
+export function evaluateAlertRules(rules, logs, nowMs = Date.now()) {
+  return (rules || []).flatMap((rule) => evaluateRule(rule, logs || [], nowMs));
+}
+
+// Drops alerts whose key was sent less than `cooldownMs` ago and records the rest in
+// `history` (key -> time sent) straight away, so overlapping refreshes do not send them twice.
+// Pass them to forgetAlerts if delivery fails so the next refresh tries again.
+export function selectAlertsToSend(alerts, history, nowMs, cooldownMs) {
+  return (alerts || []).filter((alert) => {
+    const last = history.get(alert.key);
+    if (last !== undefined && nowMs - last < cooldownMs) {
+      return false;
+    }
+    history.set(alert.key, nowMs);
+    return true;
+  });
+}
+
+export function forgetAlerts(alerts, history) {
+  (alerts || []).forEach((alert) => history.delete(alert.key));
+}
+
+// POSTs `{ source, sentAt, range, alerts }` as JSON. Options: `fetch` (required), `url`,
+// `range` (the descriptor whose refresh raised the alerts) and `signal`. Throws when the
+// webhook does not answer with a 2xx status.
+export async function deliverAlerts(alerts, options = {}) {
+  const { url, range = null, signal } = options;
+  const response = await options.fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      source: 'bbstats',
+      sentAt: new Date().toISOString(),
+      range: range ? { key: range.key, label: range.label } : null,
+      alerts,
+    }),
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook responded with status ${response.status}`);
+  }
+}
@@ -0,0 +1,183 @@
+import { defaultDomainGrouping, groupDomain } from './grouping.js';
+import { extractDomain, extractLogTimestamp, isBlocked } from './logs.js';
+import { readParam } from './params.js';
+
+export const anomalyLimit = 25;
+// Scales the median absolute deviation so it estimates the standard deviation of normal data.
+const MAD_SCALE = 1.4826;
+
+// `mad` scores a bucket against the median and median absolute deviation of the buckets before
+// it, which a single earlier spike cannot drag around; `zscore` uses their mean and standard
+// deviation.
+export const anomalyMethods = ['mad', 'zscore'];
+
+export const defaultAnomalyOptions = {
+  method: 'mad',
+  threshold: 3.5,
+  minCount: 5,
+  window: 24,
+  minHistory: 6,
+};
+
+// Query parameter for each option. BBSTATS_ANOMALY_<NAME> sets the defaults (see config.js).
+const anomalyParams = {
+  method: 'anomaly_method',
+  threshold: 'anomaly_threshold',
+  minCount: 'anomaly_min_count',
+  window: 'anomaly_window',
+  minHistory: 'anomaly_min_history',
+};
+
+function parseNumber(params, option, { integer = false, min }) {
+  const raw = readParam(params, anomalyParams[option]).trim();
+  if (!raw) {
+    return undefined;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+    throw new RangeError(
+      `"${anomalyParams[option]}" must be ${integer ? 'a whole number' : 'a number'} of at least ${min}.`
+    );
+  }
+  return value;
+}
+
+// Reads the anomaly_* parameters from URLSearchParams or a plain query object on top of
+// `defaults`. Throws a RangeError for invalid values so callers can answer with a 400.
+export function parseAnomalyOptions(params, defaults = defaultAnomalyOptions) {
+  const method = readParam(params, anomalyParams.method).trim().toLowerCase();
+  if (method && !anomalyMethods.includes(method)) {
+    throw new RangeError(`Unknown anomaly method "${method}"; use ${anomalyMethods.join(', ')}.`);
+  }
+  const parsed = {
+    method: method || undefined,
+    threshold: parseNumber(params, 'threshold', { min: 0 }),
+    minCount: parseNumber(params, 'minCount', { integer: true, min: 1 }),
+    window: parseNumber(params, 'window', { integer: true, min: 2 }),
+    minHistory: parseNumber(params, 'minHistory', { integer: true, min: 1 }),
+  };
+  const options = { ...defaultAnomalyOptions, ...defaults };
+  Object.entries(parsed).forEach(([option, value]) => {
+    if (value !== undefined) {
+      options[option] = value;
+    }
+  });
+  return options;
+}
+
+// Compact form used in cache keys and for comparing option sets, e.g. `mad:3.5:5:24:6`.
+export function describeAnomalyOptions(options = defaultAnomalyOptions) {
+  const { method, threshold, minCount, window, minHistory } = { ...defaultAnomalyOptions, ...options };
+  return [method, threshold, minCount, window, minHistory].join(':');
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Returns the baseline centre and the score of `value` against `baseline`. The spread is
+// floored at 1 so a quiet baseline (all zeros) does not make any single request look extreme;
+// `minCount` guards the other end.
+function scoreBucket(value, baseline, method) {
+  if (method === 'zscore') {
+    const mean = baseline.reduce((sum, count) => sum + count, 0) / baseline.length;
+    const variance = baseline.reduce((sum, count) => sum + (count - mean) ** 2, 0) / baseline.length;
+    return { center: mean, score: (value - mean) / Math.max(Math.sqrt(variance), 1) };
+  }
+  const center = median([...baseline].sort((a, b) => a - b));
+  const deviation = median(baseline.map((count) => Math.abs(count - center)).sort((a, b) => a - b));
+  return { center, score: (value - center) / Math.max(MAD_SCALE * deviation, 1) };
+}
+
+// Flags destinations (grouped per `options.grouping`) in the blocked logs using the buckets of
+// `options.alignTo`, normally the summary's timeSeries:
+// - `newlyBlocked`: first blocked after at least `minHistory` buckets without a block, newest
+//   first. "Before" means earlier in the summarized window.
+// - `surges`: a bucket with at least `minCount` blocks that scores `threshold` or more against
+//   the up to `window` buckets before it. Only a domain's highest-scoring bucket is listed,
+//   with `anomalousBuckets` counting how many crossed the threshold.
+// Buckets with fewer than `minHistory` earlier buckets are not scored.
+export function detectAnomalies(logs, options = {}) {
+  const {
+    grouping = defaultDomainGrouping,
+    alignTo = null,
+    limit = anomalyLimit,
+    ...detection
+  } = options;
+  const { method, threshold, minCount, window, minHistory } = { ...defaultAnomalyOptions, ...detection };
+  const buckets = Array.isArray(alignTo?.buckets) ? alignTo.buckets : [];
+  const result = {
+    method,
+    threshold,
+    minCount,
+    window,
+    minHistory,
+    unit: alignTo?.unit ?? null,
+    evaluatedBuckets: Math.max(0, buckets.length - minHistory),
+    newlyBlocked: [],
+    surges: [],
+  };
+  if (!buckets.length || !alignTo.bucketSeconds) {
+    return result;
+  }
+
+  const origin = Date.parse(buckets[0].start);
+  const sizeMs = alignTo.bucketSeconds * 1000;
+  const series = new Map();
+  (logs || []).forEach((log) => {
+    if (!isBlocked(log)) {
+      return;
+    }
+    const timestamp = extractLogTimestamp(log);
+    const index = timestamp === null ? -1 : Math.floor((timestamp - origin) / sizeMs);
+    if (index < 0 || index >= buckets.length) {
+      return;
+    }
+    const name = groupDomain(extractDomain(log), grouping);
+    const counts = series.get(name) ?? new Array(buckets.length).fill(0);
+    counts[index] += 1;
+    series.set(name, counts);
+  });
+
+  series.forEach((counts, name) => {
+    const blocked = counts.reduce((sum, count) => sum + count, 0);
+    const first = counts.findIndex((count) => count > 0);
+    if (first >= minHistory) {
+      result.newlyBlocked.push({ name, firstBlocked: buckets[first].start, blocked });
+    }
+
+    let peak = null;
+    let anomalousBuckets = 0;
+    for (let index = minHistory; index < counts.length; index += 1) {
+      if (counts[index] < minCount) {
+        continue;
+      }
+      const { center, score } = scoreBucket(counts[index], counts.slice(Math.max(0, index - window), index), method);
+      if (score < threshold) {
+        continue;
+      }
+      anomalousBuckets += 1;
+      if (!peak || score > peak.score) {
+        peak = { index, center, score };
+      }
+    }
+    if (peak) {
+      result.surges.push({
+        name,
+        bucket: buckets[peak.index].start,
+        blocked: counts[peak.index],
+        baseline: Math.round(peak.center * 100) / 100,
+        score: Math.round(peak.score * 100) / 100,
+        anomalousBuckets,
+        newlyBlocked: first >= minHistory,
+      });
+    }
+  });
+
+  result.newlyBlocked.sort((a, b) => b.firstBlocked.localeCompare(a.firstBlocked) || b.blocked - a.blocked);
+  result.newlyBlocked = result.newlyBlocked.slice(0, limit);
+  result.surges.sort((a, b) => b.score - a.score || b.blocked - a.blocked);
+  result.surges = result.surges.slice(0, limit);
+  return result;
+}
@@ -0,0 +1,47 @@
+import { isBlocked } from './logs.js';
+import { buildTimeSeries } from './timeseries.js';
+
+const SERIES_LIMIT = 8;
+
+// Resolver-level dimensions present on every record. Query types are uppercased (A, AAAA,
+// HTTPS, TXT) and protocols lowercased (udp, tcp, https for DoH, tls for DoT).
+export const logDimensions = {
+  queryType: (log) => (log?.query_type ? String(log.query_type).toUpperCase() : null),
+  protocol: (log) => (log?.protocol ? String(log.protocol).toLowerCase() : null),
+};
+
+// Blocked/allowed counts per value of `select`, busiest first, plus a time series for each of
+// the busiest values aligned to `alignTo` (the overall series) for small-multiple charts.
+export function summarizeBreakdown(logs, select, rangeDescriptor, options = {}) {
+  const { alignTo = null, seriesLimit = SERIES_LIMIT } = options;
+  const groups = new Map();
+  let unknown = 0;
+
+  (logs || []).forEach((log) => {
+    const name = select(log);
+    if (!name) {
+      unknown += 1;
+      return;
+    }
+    const group = groups.get(name) ?? { logs: [], blocked: 0 };
+    group.logs.push(log);
+    group.blocked += isBlocked(log) ? 1 : 0;
+    groups.set(name, group);
+  });
+
+  const ordered = Array.from(groups.entries()).sort((a, b) => b[1].logs.length - a[1].logs.length);
+
+  return {
+    entries: ordered.map(([name, group]) => ({
+      name,
+      blocked: group.blocked,
+      allowed: group.logs.length - group.blocked,
+      total: group.logs.length,
+    })),
+    series: ordered.slice(0, seriesLimit).map(([name, group]) => ({
+      name,
+      timeSeries: buildTimeSeries(group.logs, rangeDescriptor, { alignTo }),
+    })),
+    unknown,
+  };
+}
@@ -0,0 +1,93 @@
+import { isBlocked } from './logs.js';
+
+// Gateway content and security categories. Logs carry numeric IDs only, so names come from
+// this partial offline table merged with an optional local override map (see
+// lib/node/name-maps.js and scripts/update-gateway-categories.js, which pulls the full list
+// for an account). IDs with no known name are shown as `Category <id>`.
+export const gatewayCategoryNames = {
+  1: 'Ads',
+  2: 'Adult Themes',
+  3: 'Business & Economy',
+  6: 'Education',
+  7: 'Entertainment',
+  10: 'Health',
+  12: 'Internet Communication',
+  22: 'Shopping & Auctions',
+  24: 'Society & Lifestyle',
+  26: 'Technology',
+  27: 'Travel',
+  68: 'Anonymizer',
+  74: 'Music',
+  80: 'Command and Control & Botnet',
+  83: 'Cryptomining',
+  91: 'Educational Institutions',
+  98: 'Forums',
+  103: 'Health & Fitness',
+  110: 'Chat',
+  117: 'Malware',
+  123: 'Search Engines',
+  125: 'Nudity',
+  131: 'Phishing',
+  133: 'Pornography',
+  134: 'Private IP Address',
+  149: 'Social Networks',
+  151: 'Spam',
+  153: 'Spyware',
+  155: 'Content Servers',
+  164: 'Video Streaming',
+  175: 'DNS Tunneling',
+  176: 'DGA Domains',
+  178: 'Brand Embedding',
+};
+
+// Merges a `{ "<id>": "<name>" }` override map over the built-in table. Non-numeric keys and
+// empty names are ignored.
+export function resolveCategoryNames(overrides = {}) {
+  const names = { ...gatewayCategoryNames };
+  Object.entries(overrides || {}).forEach(([id, name]) => {
+    if (/^\d+$/.test(id) && typeof name === 'string' && name.trim()) {
+      names[id] = name.trim();
+    }
+  });
+  return names;
+}
+
+export function categoryName(id, names = gatewayCategoryNames) {
+  return names[id] ?? `Category ${id}`;
+}
+
+// Categories assigned after resolution (`query_category_ids`), falling back to the ones
+// assigned to the original query when the former is missing.
+export function logCategoryIds(log) {
+  const ids = Array.isArray(log?.query_category_ids) && log.query_category_ids.length
+    ? log.query_category_ids
+    : log?.initial_category_ids;
+  return Array.isArray(ids) ? ids.filter((id) => Number.isInteger(id)) : [];
+}
+
+// Blocked/allowed counts per category, busiest first. A log with several categories (usually
+// a parent and its subcategory) counts once toward each of them.
+export function summarizeCategories(logs, names = gatewayCategoryNames) {
+  const counts = new Map();
+  const uncategorized = { blocked: 0, allowed: 0 };
+
+  (logs || []).forEach((log) => {
+    const decision = isBlocked(log) ? 'blocked' : 'allowed';
+    const ids = new Set(logCategoryIds(log));
+    if (!ids.size) {
+      uncategorized[decision] += 1;
+      return;
+    }
+    ids.forEach((id) => {
+      const entry = counts.get(id) ?? { id, name: categoryName(id, names), blocked: 0, allowed: 0 };
+      entry[decision] += 1;
+      counts.set(id, entry);
+    });
+  });
+
+  const entries = Array.from(counts.values())
+    .map((entry) => ({ ...entry, total: entry.blocked + entry.allowed }))
+    .sort((a, b) => b.blocked - a.blocked || b.total - a.total);
+
+  return { entries, uncategorized };
+}
@@ -0,0 +1,101 @@
+import { countBy, topEntries } from './aggregate.js';
+import { defaultDomainGrouping, groupDomain } from './grouping.js';
+import { extractDomain, isBlocked } from './logs.js';
+import { readParam } from './params.js';
+import { buildTimeSeries } from './timeseries.js';
+
+const COMPARISON_LIMIT = 10;
+
+// `previous` compares against the window of the same length just before the requested one
+// (see buildPreviousRange in ranges.js).
+export const comparisonModes = ['previous'];
+
+// Reads `compare` from URLSearchParams or a plain query object. Returns null when absent and
+// throws a RangeError for unknown modes so callers can answer with a 400.
+export function parseComparison(params) {
+  const mode = readParam(params, 'compare').trim().toLowerCase();
+  if (!mode) {
+    return null;
+  }
+  if (!comparisonModes.includes(mode)) {
+    throw new RangeError(`Unknown comparison "${mode}"; use ${comparisonModes.join(', ')}.`);
+  }
+  return mode;
+}
+
+function describeChange(current, previous) {
+  return {
+    current,
+    previous,
+    change: current - previous,
+    changeRatio: previous ? (current - previous) / previous : null,
+  };
+}
+
+function changeStatus(current, previous) {
+  if (!previous) {
+    return 'new';
+  }
+  if (!current) {
+    return 'gone';
+  }
+  if (current === previous) {
+    return 'same';
+  }
+  return current > previous ? 'up' : 'down';
+}
+
+// The busiest names now with their earlier counts, plus the busiest earlier names that no
+// longer appear at all.
+function compareCounts(currentCounts, previousCounts, limit) {
+  const toEntry = ({ name }) => {
+    const current = currentCounts.get(name) ?? 0;
+    const previous = previousCounts.get(name) ?? 0;
+    return { name, ...describeChange(current, previous), status: changeStatus(current, previous) };
+  };
+  const goneCounts = new Map(
+    Array.from(previousCounts.entries()).filter(([name]) => !currentCounts.has(name))
+  );
+  return {
+    entries: topEntries(currentCounts, limit).map(toEntry),
+    gone: topEntries(goneCounts, limit).map(toEntry),
+  };
+}
+
+function countTotals(logs) {
+  const blocked = (logs || []).filter((log) => isBlocked(log)).length;
+  return { blocked, allowed: (logs?.length ?? 0) - blocked };
+}
+
+// Deltas between two sets of already filtered logs. `blocked` groups destinations like the
+// blocked table (`options.grouping`) and `queries` uses full hostnames like `topQueries`.
+// The earlier period's `timeSeries` is shifted forward by its own length and aligned to
+// `options.alignTo`, so it can be drawn over the current buckets.
+export function comparePeriods(currentLogs, previousLogs, previousRange, options = {}) {
+  const { grouping = defaultDomainGrouping, alignTo = null, limit = COMPARISON_LIMIT } = options;
+  const blockedCounts = (logs) =>
+    countBy(logs, (log) => (isBlocked(log) ? groupDomain(extractDomain(log), grouping) : null));
+  const current = countTotals(currentLogs);
+  const previous = countTotals(previousLogs);
+
+  return {
+    mode: 'previous',
+    range: {
+      key: previousRange.key,
+      label: previousRange.label,
+      from: new Date(previousRange.from * 1000).toISOString(),
+      to: new Date(previousRange.to * 1000).toISOString(),
+    },
+    totals: {
+      blocked: describeChange(current.blocked, previous.blocked),
+      allowed: describeChange(current.allowed, previous.allowed),
+      total: describeChange(current.blocked + current.allowed, previous.blocked + previous.allowed),
+    },
+    blocked: compareCounts(blockedCounts(currentLogs), blockedCounts(previousLogs), limit),
+    queries: compareCounts(countBy(currentLogs, extractDomain), countBy(previousLogs, extractDomain), limit),
+    timeSeries: buildTimeSeries(previousLogs, previousRange, {
+      alignTo,
+      shiftMs: (previousRange.to - previousRange.from) * 1000,
+    }),
+  };
+}
@@ -0,0 +1,132 @@
+// Environment parsing shared by every entry point. `env` is `process.env` in Node and the
+// bindings object in Workers, so nothing here touches a runtime global.
+
+import { parseAnomalyOptions } from './anomalies.js';
+import { parseRedactionProfile } from './redaction.js';
+
+export const sanitize = (value) =>
+  typeof value === 'string' ? value.trim() : undefined;
+
+export const isPlaceholder = (value) =>
+  typeof value === 'string' &&
+  /^YOUR_[A-Z0-9_]+$/.test(value.trim());
+
+function firstConfigured(candidates) {
+  return sanitize(
+    candidates.find((candidate) => {
+      const trimmed = sanitize(candidate);
+      return trimmed && !isPlaceholder(trimmed);
+    })
+  );
+}
+
+export function resolveCredentials(env = {}) {
+  return {
+    accountId: firstConfigured([env.CLOUDFLARE_ACCOUNT_ID, env.CF_ACCOUNT_ID, env.CF_ACCOUNT]),
+    apiToken: firstConfigured([env.CLOUDFLARE_API_TOKEN, env.CF_TOKEN, env.CF_API_TOKEN]),
+  };
+}
+
+function readCount(value, fallback) {
+  const raw = sanitize(value);
+  const number = raw ? Number(raw) : fallback;
+  return Number.isFinite(number) && number >= 0 ? Math.floor(number) : fallback;
+}
+
+// Retry and rate-limit settings (see request-policy.js). A request budget of 0 is unlimited.
+export function resolveFetchOptions(env = {}) {
+  return {
+    minSegmentSeconds: Math.max(60, Number(env.BBSTATS_MIN_SEGMENT_SECONDS) || 15 * 60),
+    maxRetries: readCount(env.BBSTATS_MAX_RETRIES, 4),
+    maxRetryDelayMs: readCount(env.BBSTATS_MAX_RETRY_DELAY_SECONDS, 60) * 1000,
+    maxConcurrentRequests: Math.max(1, readCount(env.BBSTATS_MAX_CONCURRENT_REQUESTS, 2)),
+    requestBudget: readCount(env.BBSTATS_REQUEST_BUDGET, 2000),
+  };
+}
+
+// The on-disk log store is enabled whenever a directory is known, either from
+// BBSTATS_DATA_DIR or the caller's default. BBSTATS_LOG_STORE=off disables it.
+export function resolveLogStoreOptions(env = {}, defaults = {}) {
+  const disabled = /^(0|false|off|no)$/i.test(sanitize(env.BBSTATS_LOG_STORE) ?? '');
+  const directory = sanitize(env.BBSTATS_DATA_DIR) || defaults.directory || null;
+  return {
+    enabled: !disabled && Boolean(directory),
+    directory,
+  };
+}
+
+// Paths of the optional local name maps (see lib/node/name-maps.js). Each can be pointed
+// elsewhere through its environment variable.
+export function resolveNameMapFiles(env = {}, defaults = {}) {
+  return {
+    categories: sanitize(env.BBSTATS_CATEGORY_NAMES) || defaults.categories || null,
+    policies: sanitize(env.BBSTATS_POLICY_NAMES) || defaults.policies || null,
+    sources: sanitize(env.BBSTATS_SOURCE_NAMES) || defaults.sources || null,
+  };
+}
+
+// Path of the accounts config (see accounts.js): BBSTATS_ACCOUNTS_FILE or the caller's default.
+export function resolveAccountsFile(env = {}, defaults = {}) {
+  return sanitize(env.BBSTATS_ACCOUNTS_FILE) || defaults.file || null;
+}
+
+// Anomaly detection defaults from BBSTATS_ANOMALY_METHOD, _THRESHOLD, _MIN_COUNT, _WINDOW and
+// _MIN_HISTORY (see anomalies.js). Invalid values throw a RangeError.
+export function resolveAnomalyOptions(env = {}) {
+  return parseAnomalyOptions({
+    anomaly_method: sanitize(env.BBSTATS_ANOMALY_METHOD),
+    anomaly_threshold: sanitize(env.BBSTATS_ANOMALY_THRESHOLD),
+    anomaly_min_count: sanitize(env.BBSTATS_ANOMALY_MIN_COUNT),
+    anomaly_window: sanitize(env.BBSTATS_ANOMALY_WINDOW),
+    anomaly_min_history: sanitize(env.BBSTATS_ANOMALY_MIN_HISTORY),
+  });
+}
+
+// Alert rules file (BBSTATS_ALERT_RULES), webhook URL (BBSTATS_ALERT_WEBHOOK) and cooldown
+// (BBSTATS_ALERT_COOLDOWN_MINUTES). The rules file may also set `webhook` and
+// `cooldownMinutes`; the environment wins.
+export function resolveAlertOptions(env = {}, defaults = {}) {
+  const cooldownMinutes = Number(sanitize(env.BBSTATS_ALERT_COOLDOWN_MINUTES));
+  return {
+    rulesFile: sanitize(env.BBSTATS_ALERT_RULES) || defaults.rulesFile || null,
+    webhookUrl: sanitize(env.BBSTATS_ALERT_WEBHOOK) || null,
+    cooldownMinutes: cooldownMinutes > 0 ? cooldownMinutes : null,
+  };
+}
+
+// How often server.js polls Cloudflare for new logs while live dashboards are connected to
+// /api/stream. BBSTATS_STREAM_POLL_SECONDS=0 turns polling off; refreshes are still pushed.
+export function resolveStreamOptions(env = {}) {
+  const raw = sanitize(env.BBSTATS_STREAM_POLL_SECONDS);
+  const seconds = raw ? Number(raw) : 60;
+  return {
+    pollSeconds: Number.isFinite(seconds) && seconds > 0 ? Math.max(15, seconds) : 0,
+  };
+}
+
+// Built-in authentication (see lib/node/auth.js): a users file (BBSTATS_AUTH_USERS) for
+// passwords and a JWKS file (BBSTATS_AUTH_JWKS) for signed tokens. Tokens are read from
+// BBSTATS_AUTH_JWT_HEADER (default Authorization: Bearer), the role from the
+// BBSTATS_AUTH_ROLE_CLAIM claim, and BBSTATS_AUTH_ISSUER / BBSTATS_AUTH_AUDIENCE are checked
+// when set.
+export function resolveAuthOptions(env = {}, defaults = {}) {
+  return {
+    usersFile: sanitize(env.BBSTATS_AUTH_USERS) || defaults.usersFile || null,
+    jwksFile: sanitize(env.BBSTATS_AUTH_JWKS) || defaults.jwksFile || null,
+    jwtHeader: sanitize(env.BBSTATS_AUTH_JWT_HEADER)?.toLowerCase() || 'authorization',
+    roleClaim: sanitize(env.BBSTATS_AUTH_ROLE_CLAIM) || 'role',
+    issuer: sanitize(env.BBSTATS_AUTH_ISSUER) || null,
+    audience: sanitize(env.BBSTATS_AUTH_AUDIENCE) || null,
+  };
+}
+
+// Redaction profiles (see redaction.js) from BBSTATS_REDACTION, for public output and
+// server.js viewers, and BBSTATS_ADMIN_REDACTION, for server.js admins. BBSTATS_REDACTION_KEY
+// is the HMAC key for hashed fields. Invalid profiles throw a RangeError.
+export function resolveRedactionOptions(env = {}, defaults = {}) {
+  return {
+    profile: parseRedactionProfile(sanitize(env.BBSTATS_REDACTION) || defaults.profile || 'safe'),
+    adminProfile: parseRedactionProfile(sanitize(env.BBSTATS_ADMIN_REDACTION) || defaults.adminProfile || 'none'),
+    key: sanitize(env.BBSTATS_REDACTION_KEY) || null,
+  };
+}
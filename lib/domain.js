@@ -0,0 +1,50 @@
+import { countBy, topEntries } from './aggregate.js';
+import { extractDomain, extractLogTimestamp, isBlocked } from './logs.js';
+import { normalizePolicyId } from './policies.js';
+import { buildTimeSeries } from './timeseries.js';
+
+const RECENT_EVENT_LIMIT = 25;
+
+export function normalizeDomainQuery(name) {
+  return typeof name === 'string' ? name.trim().toLowerCase().replace(/\.$/, '') : '';
+}
+
+// Table rows may show either a full hostname or a grouped parent domain, so a name matches
+// itself and every subdomain beneath it.
+export function matchesDomain(log, name) {
+  const domain = extractDomain(log);
+  return domain === name || domain.endsWith(`.${name}`);
+}
+
+// `options.policyNames` (see resolvePolicyNames) names the policies; unnamed ones keep their ID.
+export function summarizeDomain(logs, name, rangeDescriptor, options = {}) {
+  const { policyNames = {} } = options;
+  const normalizedName = normalizeDomainQuery(name);
+  const matching = (logs || []).filter((log) => matchesDomain(log, normalizedName));
+  const blocked = matching.filter((log) => isBlocked(log)).length;
+
+  const recentEvents = matching
+    .map((log) => ({ log, timestamp: extractLogTimestamp(log) ?? 0 }))
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, RECENT_EVENT_LIMIT)
+    .map(({ log }) => log);
+
+  return {
+    name: normalizedName,
+    totals: {
+      blocked,
+      allowed: matching.length - blocked,
+    },
+    timeSeries: buildTimeSeries(matching, rangeDescriptor),
+    hostnames: topEntries(countBy(matching, extractDomain)),
+    queryTypes: topEntries(countBy(matching, (log) => log?.query_type)),
+    decisions: topEntries(countBy(matching, (log) => log?.decision)),
+    policies: topEntries(countBy(matching, (log) => normalizePolicyId(log?.policy_uuid))).map(
+      ({ name: id, count }) => ({ id, name: policyNames[id] ?? id, count })
+    ),
+    sourceCountries: topEntries(
+      countBy(matching, (log) => log?.src_country_code || log?.src_country)
+    ),
+    recentEvents,
+  };
+}
@@ -0,0 +1,268 @@
+import { topEntryLimit } from './aggregate.js';
+import { anomalyLimit } from './anomalies.js';
+import { extractLogTimestamp } from './logs.js';
+import { readParam } from './params.js';
+import { errorDomainLimit } from './resolver-health.js';
+import { sourceEntryLimit } from './sources.js';
+
+const ROWS_PER_CHUNK = 500;
+
+export const exportFormats = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+export const exportKinds = ['summary', 'raw'];
+
+const joinNames = (entries) => (entries || []).map(({ name, count }) => `${name} (${count})`).join('; ');
+const countEntry = ({ name, count }) => ({ name, count });
+const splitEntry = (entry) => ({
+  name: entry.name,
+  blocked: entry.blocked,
+  allowed: entry.allowed,
+  total: entry.total,
+});
+const sourceEntry = (entry) => ({ id: entry.id, ...splitEntry(entry), name: entry.name ?? '' });
+const countryEntry = (entry) => ({ code: entry.code, blocked: entry.blocked, allowed: entry.allowed, total: entry.total });
+
+// Flat tables that can be exported from a summary payload, with their columns in order.
+// Tables with a `limit` hold only the top entries the summary keeps, not every row of the
+// range; their export files are named `top<limit>-<table>`.
+export const summaryExportTables = {
+  blocked: {
+    limit: topEntryLimit,
+    columns: ['name', 'blocked', 'total'],
+    rows: (summary) =>
+      (summary.topBlockedNormalizedTotals || []).map((entry) => ({
+        name: entry.name,
+        blocked: entry.blockedCount,
+        total: entry.totalCount,
+      })),
+  },
+  hostnames: {
+    limit: topEntryLimit,
+    columns: ['name', 'blocked', 'total'],
+    rows: (summary) =>
+      (summary.topBlockedTotals || []).map((entry) => ({
+        name: entry.name,
+        blocked: entry.blockedCount,
+        total: entry.totalCount,
+      })),
+  },
+  queries: {
+    limit: topEntryLimit,
+    columns: ['name', 'count'],
+    rows: (summary) => (summary.topQueries || []).map(countEntry),
+  },
+  timeSeries: {
+    columns: ['start', 'blocked', 'allowed'],
+    rows: (summary) =>
+      (summary.timeSeries?.buckets || []).map(({ start, blocked, allowed }) => ({ start, blocked, allowed })),
+  },
+  categories: {
+    columns: ['id', 'name', 'blocked', 'allowed', 'total'],
+    rows: (summary) => (summary.categories?.entries || []).map((entry) => ({ id: entry.id, ...splitEntry(entry) })),
+  },
+  policies: {
+    columns: ['id', 'name', 'hits', 'blocked', 'allowed', 'firstSeen', 'lastSeen', 'topDomains'],
+    rows: (summary) =>
+      (summary.policies?.entries || []).map((entry) => ({
+        id: entry.id,
+        name: entry.name ?? '',
+        hits: entry.hits,
+        blocked: entry.blocked,
+        allowed: entry.allowed,
+        firstSeen: entry.firstSeen,
+        lastSeen: entry.lastSeen,
+        topDomains: joinNames(entry.topDomains),
+      })),
+  },
+  locations: {
+    limit: sourceEntryLimit,
+    columns: ['id', 'name', 'blocked', 'allowed', 'total'],
+    rows: (summary) => (summary.sources?.locations?.entries || []).map(sourceEntry),
+  },
+  devices: {
+    limit: sourceEntryLimit,
+    columns: ['id', 'name', 'blocked', 'allowed', 'total'],
+    rows: (summary) => (summary.sources?.devices?.entries || []).map(sourceEntry),
+  },
+  users: {
+    limit: sourceEntryLimit,
+    columns: ['id', 'name', 'blocked', 'allowed', 'total'],
+    rows: (summary) => (summary.sources?.users?.entries || []).map(sourceEntry),
+  },
+  queryTypes: {
+    columns: ['name', 'blocked', 'allowed', 'total'],
+    rows: (summary) => (summary.queryTypes?.entries || []).map(splitEntry),
+  },
+  protocols: {
+    columns: ['name', 'blocked', 'allowed', 'total'],
+    rows: (summary) => (summary.protocols?.entries || []).map(splitEntry),
+  },
+  sourceCountries: {
+    columns: ['code', 'blocked', 'allowed', 'total'],
+    rows: (summary) => (summary.geography?.sources || []).map(countryEntry),
+  },
+  destinationCountries: {
+    columns: ['code', 'blocked', 'allowed', 'total'],
+    rows: (summary) => (summary.geography?.destinations || []).map(countryEntry),
+  },
+  rcodes: {
+    limit: topEntryLimit,
+    columns: ['name', 'count'],
+    rows: (summary) => (summary.resolverHealth?.rcodes || []).map(countEntry),
+  },
+  errorDomains: {
+    limit: errorDomainLimit,
+    columns: ['name', 'count', 'rcodes'],
+    rows: (summary) =>
+      (summary.resolverHealth?.errorDomains || []).map((entry) => ({
+        name: entry.name,
+        count: entry.count,
+        rcodes: joinNames(entry.rcodes),
+      })),
+  },
+  surges: {
+    limit: anomalyLimit,
+    columns: ['name', 'bucket', 'blocked', 'baseline', 'score', 'anomalousBuckets', 'newlyBlocked'],
+    rows: (summary) => summary.anomalies?.surges || [],
+  },
+  newlyBlocked: {
+    limit: anomalyLimit,
+    columns: ['name', 'firstBlocked', 'blocked'],
+    rows: (summary) => summary.anomalies?.newlyBlocked || [],
+  },
+};
+
+// CSV columns for raw logs when none are requested. `timestamp` is derived (ISO 8601); every
+// other column is a log field. JSON and NDJSON exports keep whole records by default.
+export const defaultRawExportColumns = [
+  'timestamp',
+  'query',
+  'query_type',
+  'decision',
+  'blocked',
+  'policy_uuid',
+  'query_category_ids',
+  'location_uuid',
+  'device_id',
+  'email',
+  'source_ip',
+  'src_country_code',
+  'protocol',
+  'rcode',
+  'resolved_ips',
+  'query_id',
+];
+
+// Reads `format` (csv|ndjson|json, default csv), `kind` (summary|raw, default summary), `table`
+// (a summaryExportTables key, default blocked) and `columns` (comma-separated). Throws a
+// RangeError for unknown values so callers can answer with a 400.
+export function parseExportRequest(params) {
+  const format = readParam(params, 'format').trim().toLowerCase() || 'csv';
+  if (!exportFormats[format]) {
+    throw new RangeError(`Unknown export format "${format}"; use ${Object.keys(exportFormats).join(', ')}.`);
+  }
+  const kind = readParam(params, 'kind').trim().toLowerCase() || 'summary';
+  if (!exportKinds.includes(kind)) {
+    throw new RangeError(`Unknown export kind "${kind}"; use ${exportKinds.join(', ')}.`);
+  }
+  const table = kind === 'summary' ? readParam(params, 'table').trim() || 'blocked' : null;
+  if (table && !summaryExportTables[table]) {
+    throw new RangeError(`Unknown table "${table}"; use ${Object.keys(summaryExportTables).join(', ')}.`);
+  }
+
+  const requested = readParam(params, 'columns')
+    .split(',')
+    .map((column) => column.trim())
+    .filter(Boolean);
+  if (table) {
+    const unknown = requested.filter((column) => !summaryExportTables[table].columns.includes(column));
+    if (unknown.length) {
+      throw new RangeError(
+        `Unknown column(s) ${unknown.join(', ')} for table "${table}"; use ${summaryExportTables[table].columns.join(', ')}.`
+      );
+    }
+  }
+  return { format, kind, table, columns: requested.length ? requested : null };
+}
+
+function* mapRows(rows, transform) {
+  for (const row of rows) {
+    yield transform(row);
+  }
+}
+
+// The rows and columns to export. Raw rows are log records, passed through `redactLog` (see
+// redaction.js) as they are written; `columns` of null keeps whole records for JSON and
+// NDJSON and falls back to defaultRawExportColumns for CSV.
+export function selectExportRows(request, { summary, logs, redactLog = null }) {
+  if (request.kind === 'summary') {
+    const table = summaryExportTables[request.table];
+    return { rows: summary ? table.rows(summary) : [], columns: request.columns ?? table.columns };
+  }
+  return {
+    rows: redactLog ? mapRows(logs || [], redactLog) : logs || [],
+    columns: request.columns ?? (request.format === 'csv' ? defaultRawExportColumns : null),
+  };
+}
+
+function readColumn(row, column) {
+  if (column === 'timestamp' && !('timestamp' in row)) {
+    const timestamp = extractLogTimestamp(row);
+    return timestamp === null ? null : new Date(timestamp).toISOString();
+  }
+  return row[column];
+}
+
+function pickColumns(row, columns) {
+  return columns ? Object.fromEntries(columns.map((column) => [column, readColumn(row, column) ?? null])) : row;
+}
+
+// RFC 4180 quoting. Text that a spreadsheet would read as a formula gets a leading quote.
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Yields the export body in chunks of a few hundred rows so callers can stream it.
+export function* exportChunks(rows, { format, columns = null }) {
+  if (format === 'csv') {
+    yield `${columns.map(formatCsvValue).join(',')}\r\n`;
+  } else if (format === 'json') {
+    yield '[';
+  }
+
+  let chunk = [];
+  let written = 0;
+  for (const row of rows) {
+    const record = pickColumns(row, columns);
+    if (format === 'csv') {
+      chunk.push(`${columns.map((column) => formatCsvValue(record[column])).join(',')}\r\n`);
+    } else if (format === 'ndjson') {
+      chunk.push(`${JSON.stringify(record)}\n`);
+    } else {
+      chunk.push(`${written ? ',' : ''}\n${JSON.stringify(record)}`);
+    }
+    written += 1;
+    if (chunk.length >= ROWS_PER_CHUNK) {
+      yield chunk.join('');
+      chunk = [];
+    }
+  }
+  if (chunk.length) {
+    yield chunk.join('');
+  }
+
+  if (format === 'json') {
+    yield written ? '\n]\n' : ']\n';
+  }
+}
@@ -0,0 +1,96 @@
+import { logCategoryIds } from './categories.js';
+import { extractDomain } from './logs.js';
+import { readParam } from './params.js';
+
+// Exact-match filter fields, keyed by query parameter. Each accepts a comma-separated list
+// and matches case-insensitively against the raw log field(s).
+const fieldFilters = {
+  query_type: (log) => log?.query_type,
+  decision: (log) => log?.decision,
+  policy_uuid: (log) => log?.policy_uuid,
+  location_uuid: (log) => log?.location_uuid,
+  device_id: (log) => log?.device_id,
+  src_country: (log) => [log?.src_country_code, log?.src_country],
+  protocol: (log) => log?.protocol,
+  category: (log) => logCategoryIds(log),
+  user: (log) => [log?.email, log?.user_id],
+};
+
+export const logFilterKeys = ['domain', 'domain_suffix', ...Object.keys(fieldFilters)];
+
+function splitValues(value) {
+  return value
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Accepts URLSearchParams or a plain query object (Express `req.query`). Returns null when
+// no filter parameter is present so callers can keep using cached unfiltered summaries.
+export function parseLogFilter(params) {
+  const filter = {};
+
+  const domain = readParam(params, 'domain').trim().toLowerCase();
+  if (domain) {
+    filter.domain = domain;
+  }
+  const domainSuffix = readParam(params, 'domain_suffix').trim().toLowerCase().replace(/^\./, '');
+  if (domainSuffix) {
+    filter.domain_suffix = domainSuffix;
+  }
+
+  Object.keys(fieldFilters).forEach((key) => {
+    const values = splitValues(readParam(params, key));
+    if (values.length) {
+      filter[key] = values;
+    }
+  });
+
+  return Object.keys(filter).length ? filter : null;
+}
+
+export function matchesLogFilter(log, filter) {
+  if (!filter) {
+    return true;
+  }
+
+  const domain = extractDomain(log);
+  if (filter.domain && !domain.includes(filter.domain)) {
+    return false;
+  }
+  if (
+    filter.domain_suffix &&
+    domain !== filter.domain_suffix &&
+    !domain.endsWith(`.${filter.domain_suffix}`)
+  ) {
+    return false;
+  }
+
+  return Object.entries(fieldFilters).every(([key, select]) => {
+    const expected = filter[key];
+    if (!expected) {
+      return true;
+    }
+    const selected = select(log);
+    const actual = (Array.isArray(selected) ? selected : [selected])
+      .filter((value) => value !== null && value !== undefined && value !== '')
+      .map((value) => String(value).toLowerCase());
+    return actual.some((value) => expected.includes(value));
+  });
+}
+
+export function applyLogFilter(logs, filter) {
+  if (!filter) {
+    return Array.isArray(logs) ? logs : [];
+  }
+  return (logs || []).filter((log) => matchesLogFilter(log, filter));
+}
+
+export function describeLogFilter(filter) {
+  if (!filter) {
+    return '';
+  }
+  return Object.entries(filter)
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`)
+    .join('&');
+}
@@ -0,0 +1,489 @@
+import { buildSegments, mergeWindows } from './ranges.js';
+import { extractLogTimestamp, logIdentity } from './logs.js';
+import { createRequestBudget, requestWithRetry, retryableStatuses } from './request-policy.js';
+
+const PAGE_LIMIT = 1000;
+const MAX_PAGES_PER_SEGMENT = 50;
+const MAX_SPLIT_DEPTH = 24;
+const MAX_TIMEOUT_SPLITS = 5;
+const DEFAULT_MIN_SEGMENT_SECONDS = 15 * 60;
+// A 504 on a window that can still be bisected is split rather than retried.
+const STATUSES_RETRIED_BEFORE_SPLIT = retryableStatuses.filter((status) => status !== 504);
+
+// Lifetime fetches stop once they have collected this many logs, and stores serve at most
+// this many for a lifetime range.
+export const lifetimeLogLimit = 200000;
+
+const silentLogger = {
+  info() {},
+  warn() {},
+};
+
+export function buildGatewayBaseUrl(accountId) {
+  return `https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway-analytics/activities`;
+}
+
+function readPageCursor(payload) {
+  const candidates = [
+    payload?.result_info?.cursor,
+    payload?.result_info?.next_cursor,
+    payload?.result?.cursor,
+    payload?.result?.next_cursor,
+  ];
+  const cursor = candidates.find((candidate) => typeof candidate === 'string' && candidate.trim());
+  return cursor ? cursor.trim() : null;
+}
+
+function oldestLogSeconds(logs) {
+  let oldest = null;
+  logs.forEach((log) => {
+    const timestamp = extractLogTimestamp(log);
+    if (timestamp !== null && (oldest === null || timestamp < oldest)) {
+      oldest = timestamp;
+    }
+  });
+  return oldest === null ? null : Math.floor(oldest / 1000);
+}
+
+export function formatSegmentBoundary(value) {
+  return typeof value === 'number' ? new Date(value * 1000).toISOString() : 'latest';
+}
+
+function buildSegmentNode(segment, logCount, pages, saturated, split = null, children = []) {
+  return {
+    from: segment.from,
+    to: segment.to,
+    logCount,
+    pages,
+    saturated,
+    split,
+    children,
+  };
+}
+
+// The windows of a segment whose logs were fetched in full: the leaves of its tree that did
+// not stay saturated.
+function completeWindows(node) {
+  if (node.children.length) {
+    return node.children.flatMap(completeWindows);
+  }
+  return node.saturated ? [] : [{ from: node.from, to: node.to }];
+}
+
+export function describeSegmentTree(node, indent = '  ') {
+  const lines = [];
+  node.children.forEach((child) => {
+    const details = [`${child.logCount} logs`, `${child.pages} page(s)`];
+    if (child.split) {
+      details.push(`split on ${child.split}`);
+    }
+    if (child.saturated && !child.split) {
+      details.push('saturated');
+    }
+    lines.push(
+      `${indent}↳ ${formatSegmentBoundary(child.from)} → ${formatSegmentBoundary(child.to)}: ${details.join(', ')}`
+    );
+    lines.push(...describeSegmentTree(child, `${indent}  `));
+  });
+  return lines;
+}
+
+async function fetchSplitSegment(segment, reason, context, depth, timeoutSplits) {
+  const spanSeconds = segment.to - segment.from;
+  const midpoint = segment.from + Math.floor(spanSeconds / 2);
+  if (depth >= MAX_SPLIT_DEPTH || midpoint <= segment.from || midpoint >= segment.to) {
+    return null;
+  }
+
+  const nextTimeoutSplits = reason === 'timeout' ? timeoutSplits + 1 : timeoutSplits;
+  // Newer half first so the merged logs keep the API's newest-first order.
+  const newer = await fetchSegmentLogs(
+    { from: midpoint, to: segment.to },
+    context,
+    depth + 1,
+    nextTimeoutSplits
+  );
+  const older = await fetchSegmentLogs(
+    { from: segment.from, to: midpoint },
+    context,
+    depth + 1,
+    nextTimeoutSplits
+  );
+
+  return {
+    logs: [...newer.logs, ...older.logs],
+    pages: newer.pages + older.pages,
+    duplicates: newer.duplicates + older.duplicates,
+    saturated: newer.saturated || older.saturated,
+    children: [newer.tree, older.tree],
+  };
+}
+
+// `context` carries the injected `fetch`, request headers, base URL, abort signal, the
+// minimum span below which saturated windows are paged instead of split and the
+// `requestPolicy` passed to requestWithRetry (limiter, budget, retry settings).
+export async function fetchSegmentLogs(segment, context, depth = 0, timeoutSplits = 0) {
+  const { fetch, headers, baseUrl, signal, requestPolicy = {} } = context;
+  const minSegmentSeconds = context.minSegmentSeconds ?? DEFAULT_MIN_SEGMENT_SECONDS;
+  const hasBounds = typeof segment.from === 'number' && typeof segment.to === 'number';
+  const collected = [];
+  const seenIdentities = new Set();
+  // Records returned again by overlapping pages, dropped here.
+  let duplicates = 0;
+  let pages = 0;
+  let saturated = false;
+  let cursor = null;
+  let pageTo = segment.to;
+
+  while (true) {
+    const params = new URLSearchParams({ limit: String(PAGE_LIMIT) });
+    if (typeof segment.from === 'number') {
+      params.set('from', String(segment.from));
+    }
+    if (typeof pageTo === 'number') {
+      params.set('to', String(pageTo));
+    }
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+
+    const spanSeconds = hasBounds ? Math.max(0, pageTo - segment.from) : null;
+    const canSplitOnTimeout =
+      spanSeconds !== null && spanSeconds > 3_600 && timeoutSplits < MAX_TIMEOUT_SPLITS && !cursor;
+
+    const url = `${baseUrl}?${params.toString()}`;
+    const response = await requestWithRetry(
+      url,
+      { headers, signal },
+      {
+        ...requestPolicy,
+        fetch,
+        retryStatuses: canSplitOnTimeout ? STATUSES_RETRIED_BEFORE_SPLIT : retryableStatuses,
+      }
+    );
+
+    if (!response.ok) {
+      let errorDetail = '';
+      try {
+        const errorBody = await response.text();
+        errorDetail = errorBody ? ` Body: ${errorBody}` : '';
+      } catch (readError) {
+        errorDetail = ` (unable to read error body: ${readError.message})`;
+      }
+
+      if (response.status === 504 && canSplitOnTimeout) {
+        // Only the part of the window that has not been paged yet is bisected.
+        const split = await fetchSplitSegment(
+          { from: segment.from, to: pageTo },
+          'timeout',
+          context,
+          depth,
+          timeoutSplits
+        );
+        if (split) {
+          const remaining = split.logs.filter((log) => !seenIdentities.has(logIdentity(log)));
+          const logs = [...collected, ...remaining];
+          const totalPages = pages + split.pages;
+          return {
+            logs,
+            pages: totalPages,
+            duplicates: duplicates + split.duplicates + split.logs.length - remaining.length,
+            saturated: split.saturated,
+            tree: buildSegmentNode(
+              segment,
+              logs.length,
+              totalPages,
+              split.saturated,
+              'timeout',
+              split.children
+            ),
+          };
+        }
+      }
+
+      throw new Error(`Cloudflare API responded with status ${response.status}.${errorDetail}`);
+    }
+
+    const payload = await response.json();
+    const logs = Array.isArray(payload?.result?.logs) ? payload.result.logs : [];
+    pages += 1;
+
+    // A full first page means the window is busier than one request can return. Prefer
+    // splitting it in time while it is wider than the minimum span; narrow windows are
+    // paged instead.
+    if (
+      pages === 1 &&
+      logs.length >= PAGE_LIMIT &&
+      spanSeconds !== null &&
+      spanSeconds > minSegmentSeconds
+    ) {
+      const split = await fetchSplitSegment(segment, 'saturation', context, depth, timeoutSplits);
+      if (split) {
+        const totalPages = pages + split.pages;
+        return {
+          logs: split.logs,
+          pages: totalPages,
+          duplicates: split.duplicates,
+          saturated: split.saturated,
+          tree: buildSegmentNode(
+            segment,
+            split.logs.length,
+            totalPages,
+            split.saturated,
+            'saturation',
+            split.children
+          ),
+        };
+      }
+    }
+
+    logs.forEach((log) => {
+      const identity = logIdentity(log);
+      if (seenIdentities.has(identity)) {
+        duplicates += 1;
+        return;
+      }
+      seenIdentities.add(identity);
+      collected.push(log);
+    });
+
+    // A short page means the window is exhausted. The unbounded "latest" request is
+    // intentionally a single page.
+    if (logs.length < PAGE_LIMIT || !hasBounds) {
+      break;
+    }
+
+    if (pages >= MAX_PAGES_PER_SEGMENT) {
+      saturated = true;
+      break;
+    }
+
+    const nextCursor = readPageCursor(payload);
+    if (nextCursor) {
+      cursor = nextCursor;
+      continue;
+    }
+
+    // No cursor from the API: logs arrive newest first, so walk the window backwards from
+    // the oldest record on this page. The boundary second is requested again and its
+    // records are dropped as duplicates.
+    const oldestSeconds = oldestLogSeconds(logs);
+    if (oldestSeconds === null || oldestSeconds + 1 >= pageTo) {
+      saturated = true;
+      break;
+    }
+    pageTo = oldestSeconds + 1;
+  }
+
+  return {
+    logs: collected,
+    pages,
+    duplicates,
+    saturated,
+    tree: buildSegmentNode(segment, collected.length, pages, saturated),
+  };
+}
+
+// Options: `fetch` (required), `accountId`, `apiToken`, `signal`, `minSegmentSeconds`,
+// `nowSeconds` and a `logger` with info/warn (silent by default). Requests go through
+// requestWithRetry with `maxRetries`, `maxRetryDelayMs`, a shared `limiter` and a `budget`
+// (or a fresh one of `requestBudget` requests). Segments that still fail, and those skipped
+// once the budget runs out, are reported as `debug.missingWindows`; `debug.fetchedWindows`
+// lists only the windows fetched in full, leaving out those that stayed saturated. A lifetime
+// walk sets `debug.historyExhausted` once it has gone back past the oldest logs.
+// `fallback: false` returns an empty relative range as it is instead of the latest records.
+export async function fetchGatewayLogs(rangeDescriptor, options = {}) {
+  const { accountId, apiToken, signal, minSegmentSeconds, logger = silentLogger } = options;
+  const budget = options.budget ?? createRequestBudget(options.requestBudget);
+  const context = {
+    fetch: (...args) => {
+      debug.requestsSent += 1;
+      return options.fetch(...args);
+    },
+    headers: {
+      Authorization: `Bearer ${apiToken}`,
+      'Content-Type': 'application/json',
+    },
+    baseUrl: buildGatewayBaseUrl(accountId),
+    signal,
+    minSegmentSeconds: minSegmentSeconds ?? DEFAULT_MIN_SEGMENT_SECONDS,
+    requestPolicy: {
+      limiter: options.limiter,
+      budget,
+      maxRetries: options.maxRetries,
+      maxDelayMs: options.maxRetryDelayMs,
+      onRetry: ({ attempt, maxRetries, delay, status, error }) => {
+        debug.retries += 1;
+        note(
+          `Retrying in ${(delay / 1000).toFixed(1)}s after ${
+            status ? `status ${status}` : error.message
+          } (retry ${attempt}/${maxRetries}).`,
+          'warn'
+        );
+      },
+    },
+  };
+  const nowSeconds = options.nowSeconds ?? Math.floor(Date.now() / 1000);
+  const segments = buildSegments(rangeDescriptor, nowSeconds);
+  const maxLogs = rangeDescriptor.days === null ? lifetimeLogLimit : Number.POSITIVE_INFINITY;
+  const collectedLogs = [];
+  const debug = {
+    originalRangeKey: rangeDescriptor.key,
+    originalRangeLabel: rangeDescriptor.label,
+    requestedRangeKey: rangeDescriptor.key,
+    requestedRangeLabel: rangeDescriptor.label,
+    effectiveRangeKey: rangeDescriptor.key,
+    effectiveRangeLabel: rangeDescriptor.label,
+    segmentsPlanned: segments.length,
+    segmentsAttempted: 0,
+    segmentsSucceeded: 0,
+    segmentsFailed: 0,
+    segmentsSkipped: 0,
+    pagesFetched: 0,
+    duplicatesDropped: 0,
+    requestsSent: 0,
+    retries: 0,
+    budgetExhausted: false,
+    historyExhausted: false,
+    saturatedSegments: 0,
+    splitSegments: 0,
+    saturated: false,
+    minSegmentSeconds: context.minSegmentSeconds,
+    fallbackUsed: false,
+    messages: [],
+    segmentTrees: [],
+    fetchedWindows: [],
+    failedWindows: [],
+    missingWindows: [],
+  };
+
+  const note = (message, level = 'info') => {
+    debug.messages.push(message);
+    logger[level](message);
+  };
+
+  for (const segment of segments) {
+    if (signal?.aborted) {
+      note('Fetch aborted before completing all segments.');
+      break;
+    }
+
+    debug.segmentsAttempted += 1;
+    note(
+      `Segment ${debug.segmentsAttempted}/${segments.length} – range ${rangeDescriptor.key} (from=${formatSegmentBoundary(
+        segment.from
+      )}, to=${formatSegmentBoundary(segment.to)})`
+    );
+
+    try {
+      const { logs, pages, duplicates, saturated, tree } = await fetchSegmentLogs(segment, context);
+      collectedLogs.push(...logs);
+      debug.segmentsSucceeded += 1;
+      debug.pagesFetched += pages;
+      debug.duplicatesDropped += duplicates;
+      debug.segmentTrees.push(tree);
+      debug.fetchedWindows.push(...completeWindows(tree));
+      note(
+        `Segment ${debug.segmentsAttempted} returned ${logs.length} logs across ${pages} page(s) (accumulated ${collectedLogs.length}).`
+      );
+      if (tree.split) {
+        debug.splitSegments += 1;
+        debug.messages.push(
+          `Segment ${debug.segmentsAttempted} was split on ${tree.split}:`,
+          ...describeSegmentTree(tree)
+        );
+      }
+      if (saturated) {
+        debug.saturatedSegments += 1;
+        debug.saturated = true;
+        note(
+          `Segment ${debug.segmentsAttempted} was still saturated after ${pages} page(s); counts for this window may be incomplete.`,
+          'warn'
+        );
+      }
+
+      if (logs.length === 0 && rangeDescriptor.days === null) {
+        debug.emptySegmentStreak = (debug.emptySegmentStreak || 0) + 1;
+        debug.messages.push(
+          `Segment ${debug.segmentsAttempted} returned no logs (empty streak ${debug.emptySegmentStreak}).`
+        );
+        if (debug.emptySegmentStreak >= 3) {
+          debug.historyExhausted = true;
+          note('Encountered three consecutive empty segments; stopping historical fetch.');
+          break;
+        }
+      } else if (logs.length > 0 && debug.emptySegmentStreak) {
+        debug.messages.push('Resetting empty segment streak due to new data.');
+        debug.emptySegmentStreak = 0;
+      }
+    } catch (error) {
+      debug.segmentsFailed += 1;
+      debug.failedWindows.push({ from: segment.from, to: segment.to });
+      note(`Segment ${debug.segmentsAttempted} failed: ${error.message ?? error}`, 'warn');
+      if (budget.exhausted) {
+        debug.budgetExhausted = true;
+        // Lifetime walks have no fixed start, so only bounded ranges list what was skipped.
+        const skipped = rangeDescriptor.days === null ? [] : segments.slice(debug.segmentsAttempted);
+        debug.segmentsSkipped += skipped.length;
+        debug.failedWindows.push(...skipped.map(({ from, to }) => ({ from, to })));
+        note(`Request budget exhausted; skipping ${skipped.length} remaining segment(s).`, 'warn');
+        break;
+      }
+      continue;
+    }
+
+    if (collectedLogs.length >= maxLogs) {
+      debug.limitReached = true;
+      note(`Stopping early after collecting ${collectedLogs.length} logs (limit ${maxLogs}).`);
+      break;
+    }
+  }
+
+  if (
+    rangeDescriptor.days === null &&
+    debug.segmentsAttempted === segments.length &&
+    !debug.segmentsFailed &&
+    !debug.limitReached
+  ) {
+    debug.historyExhausted = true;
+  }
+  debug.missingWindows = mergeWindows(debug.failedWindows);
+  if (debug.missingWindows.length) {
+    note(
+      `${debug.missingWindows.length} window(s) could not be fetched; the summary is missing their logs.`,
+      'warn'
+    );
+  }
+
+  // An empty absolute window is a valid answer, so only relative ranges fall back. A range
+  // that came back empty because its segments failed is reported as missing instead.
+  if (
+    !collectedLogs.length &&
+    !rangeDescriptor.custom &&
+    !debug.segmentsFailed &&
+    options.fallback !== false
+  ) {
+    debug.fallbackUsed = true;
+    debug.effectiveRangeKey = 'latest';
+    debug.effectiveRangeLabel = 'Latest 1000 records';
+    note('Primary range returned no logs; falling back to latest records.');
+    const { logs: fallbackLogs, pages: fallbackPages } = await fetchSegmentLogs(
+      { from: null, to: null },
+      context
+    );
+    debug.totalLogs = fallbackLogs.length;
+    debug.segmentsPlanned += 1;
+    debug.segmentsAttempted += 1;
+    debug.segmentsSucceeded += 1;
+    debug.pagesFetched += fallbackPages;
+    note(`Fallback segment returned ${fallbackLogs.length} logs.`);
+    return { logs: fallbackLogs, debug };
+  }
+
+  debug.totalLogs = collectedLogs.length;
+  note(
+    `Completed range ${rangeDescriptor.key}: gathered ${collectedLogs.length} logs across ${debug.segmentsSucceeded}/${debug.segmentsAttempted} segments (${debug.pagesFetched} pages, ${debug.splitSegments} split, ${debug.saturatedSegments} saturated).`
+  );
+
+  return { logs: collectedLogs, debug };
+}
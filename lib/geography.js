@@ -0,0 +1,55 @@
+import { isBlocked } from './logs.js';
+
+function normalizeCountryCode(value) {
+  return typeof value === 'string' && /^[a-z]{2}$/i.test(value.trim()) ? value.trim().toUpperCase() : null;
+}
+
+function countryEntries(counts) {
+  return Array.from(counts.entries())
+    .map(([code, entry]) => ({ code, ...entry, total: entry.blocked + entry.allowed }))
+    .sort((a, b) => b.blocked - a.blocked || b.total - a.total);
+}
+
+function addCount(counts, code, decision) {
+  const entry = counts.get(code) ?? { blocked: 0, allowed: 0 };
+  entry[decision] += 1;
+  counts.set(code, entry);
+}
+
+// Blocked/allowed counts by request source country and by the countries the answer resolved
+// to. A request resolving to IPs in several countries counts once toward each; requests
+// without a usable code are counted in `unknownSource` / `unresolved`.
+export function summarizeGeography(logs) {
+  const sources = new Map();
+  const destinations = new Map();
+  let unknownSource = 0;
+  let unresolved = 0;
+
+  (logs || []).forEach((log) => {
+    const decision = isBlocked(log) ? 'blocked' : 'allowed';
+
+    const source = normalizeCountryCode(log?.src_country_code) ?? normalizeCountryCode(log?.src_country);
+    if (source) {
+      addCount(sources, source, decision);
+    } else {
+      unknownSource += 1;
+    }
+
+    const resolved = new Set(
+      (Array.isArray(log?.resolved_country_codes) ? log.resolved_country_codes : [])
+        .map(normalizeCountryCode)
+        .filter(Boolean)
+    );
+    if (!resolved.size) {
+      unresolved += 1;
+    }
+    resolved.forEach((code) => addCount(destinations, code, decision));
+  });
+
+  return {
+    sources: countryEntries(sources),
+    destinations: countryEntries(destinations),
+    unknownSource,
+    unresolved,
+  };
+}
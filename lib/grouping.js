@@ -0,0 +1,49 @@
+import { readParam } from './params.js';
+import { getRegistrableDomain } from './public-suffix.js';
+
+// How destinations are grouped in the blocked-domain tables: full hostnames, registrable
+// domains (public suffix + one label) or a custom number of labels below the public suffix.
+export const domainGroupingLevels = ['registrable', 'fqdn', 'depth'];
+export const defaultDomainGrouping = { level: 'registrable', depth: 1 };
+
+const MAX_GROUPING_DEPTH = 10;
+const DEFAULT_CUSTOM_DEPTH = 2;
+
+// Reads `group` (registrable|fqdn|depth) and `depth` from URLSearchParams or a plain query
+// object. Throws a RangeError for unknown levels or depths so callers can answer with a 400.
+export function parseDomainGrouping(params) {
+  const level = readParam(params, 'group').trim().toLowerCase() || defaultDomainGrouping.level;
+  if (!domainGroupingLevels.includes(level)) {
+    throw new RangeError(`Unknown grouping "${level}"; use ${domainGroupingLevels.join(', ')}.`);
+  }
+  if (level !== 'depth') {
+    return { level, depth: level === 'registrable' ? 1 : null };
+  }
+
+  const rawDepth = readParam(params, 'depth').trim();
+  const depth = rawDepth ? Number(rawDepth) : DEFAULT_CUSTOM_DEPTH;
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_GROUPING_DEPTH) {
+    throw new RangeError(`Grouping depth must be a whole number from 1 to ${MAX_GROUPING_DEPTH}.`);
+  }
+  return { level, depth };
+}
+
+export function isDefaultDomainGrouping(grouping) {
+  return !grouping || (grouping.level === 'registrable' && grouping.depth === 1);
+}
+
+// Compact form used in cache keys and log lines, e.g. `registrable`, `fqdn`, `depth:3`.
+export function describeDomainGrouping(grouping) {
+  const { level, depth } = grouping ?? defaultDomainGrouping;
+  return level === 'depth' ? `depth:${depth}` : level;
+}
+
+export function groupDomain(domain, grouping = defaultDomainGrouping) {
+  if (!domain || domain === 'unknown') {
+    return 'unknown';
+  }
+  if (grouping.level === 'fqdn') {
+    return domain;
+  }
+  return getRegistrableDomain(domain, grouping.depth ?? 1) ?? domain;
+}
@@ -0,0 +1,184 @@
+import { fetchGatewayLogs, lifetimeLogLimit } from './gateway-client.js';
+import { createCustomRange, mergeWindows, subtractWindows } from './ranges.js';
+import { createRequestBudget } from './request-policy.js';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+// Cloudflare can take a few minutes to ingest logs, so the newest stretch of every fetch is
+// never marked as covered and gets requested again next time (duplicates are dropped).
+const INGEST_LAG_SECONDS = 10 * 60;
+
+const summedDebugFields = [
+  'segmentsPlanned',
+  'segmentsAttempted',
+  'segmentsSucceeded',
+  'segmentsFailed',
+  'segmentsSkipped',
+  'pagesFetched',
+  'duplicatesDropped',
+  'requestsSent',
+  'retries',
+  'saturatedSegments',
+  'splitSegments',
+];
+
+// Combines the debug of several fetchGatewayLogs calls: counters are summed, flags are set
+// when any call set them, and windows and messages are concatenated.
+export function mergeFetchDebug(rangeDescriptor, debugs, minSegmentSeconds) {
+  const merged = {
+    originalRangeKey: rangeDescriptor.key,
+    originalRangeLabel: rangeDescriptor.label,
+    requestedRangeKey: rangeDescriptor.key,
+    requestedRangeLabel: rangeDescriptor.label,
+    effectiveRangeKey: rangeDescriptor.key,
+    effectiveRangeLabel: rangeDescriptor.label,
+    saturated: false,
+    budgetExhausted: false,
+    minSegmentSeconds,
+    fallbackUsed: false,
+    messages: [],
+    segmentTrees: [],
+    fetchedWindows: [],
+    failedWindows: [],
+    missingWindows: [],
+  };
+  summedDebugFields.forEach((field) => {
+    merged[field] = 0;
+  });
+
+  debugs.forEach((debug) => {
+    summedDebugFields.forEach((field) => {
+      merged[field] += debug[field] ?? 0;
+    });
+    merged.saturated = merged.saturated || Boolean(debug.saturated);
+    merged.budgetExhausted = merged.budgetExhausted || Boolean(debug.budgetExhausted);
+    merged.messages.push(...(debug.messages ?? []));
+    merged.segmentTrees.push(...(debug.segmentTrees ?? []));
+    merged.fetchedWindows.push(...(debug.fetchedWindows ?? []));
+    merged.failedWindows.push(...(debug.failedWindows ?? []));
+  });
+  merged.missingWindows = mergeWindows(merged.failedWindows);
+
+  return merged;
+}
+
+function requestedWindow(rangeDescriptor, nowSeconds) {
+  if (typeof rangeDescriptor.from === 'number' && typeof rangeDescriptor.to === 'number') {
+    return { from: rangeDescriptor.from, to: Math.min(rangeDescriptor.to, nowSeconds) };
+  }
+  return {
+    from: Math.max(0, nowSeconds - rangeDescriptor.days * SECONDS_PER_DAY),
+    to: nowSeconds,
+  };
+}
+
+// Store-backed variant of fetchGatewayLogs. Only time windows the store has not already
+// covered are requested from Cloudflare; new logs are appended to the store and the result
+// is read back from it, so ranges reflect everything ever collected. `store` must provide
+// `coveredWindows()`, `append(logs)`, `markCovered(windows)` and `read(window, { limit })`, all
+// async; lifetime reads ask for at most the newest lifetimeLogLimit logs.
+// One request budget covers every gap; gaps left once it runs out are reported as missing.
+export async function fetchGatewayLogsWithStore(rangeDescriptor, options = {}) {
+  const { store, logger, ...fetchOptions } = options;
+  fetchOptions.budget = options.budget ?? createRequestBudget(options.requestBudget);
+  const nowSeconds = options.nowSeconds ?? Math.floor(Date.now() / 1000);
+
+  // "Latest" is a single unbounded request and is not tracked in the store.
+  if (rangeDescriptor.key === 'latest') {
+    return fetchGatewayLogs(rangeDescriptor, options);
+  }
+
+  const covered = mergeWindows(await store.coveredWindows());
+  const isLifetime = rangeDescriptor.days === null;
+  const debugs = [];
+  let fetchedLogCount = 0;
+  let appended = 0;
+  let gaps;
+  // Lifetime views walk back from the oldest covered time (or from now, with nothing stored)
+  // until the usual empty-segment streak; a `null` gap stands for that walk. Once it has run
+  // out of history, everything before is recorded as covered and later walks are skipped.
+  const historyEnd = covered.length ? covered[0].from : nowSeconds;
+
+  if (isLifetime && !covered.length) {
+    gaps = [null];
+  } else if (isLifetime) {
+    gaps = subtractWindows({ from: covered[0].from, to: nowSeconds }, covered);
+    if (historyEnd > 0) {
+      gaps.push(null);
+    }
+  } else {
+    gaps = subtractWindows(requestedWindow(rangeDescriptor, nowSeconds), covered);
+  }
+
+  for (const [index, gap] of gaps.entries()) {
+    if (fetchOptions.budget.exhausted) {
+      const skipped = gaps.slice(index).filter(Boolean);
+      debugs.push({ budgetExhausted: true, failedWindows: skipped });
+      logger?.warn?.(`Request budget exhausted; skipping ${skipped.length} uncovered window(s).`);
+      break;
+    }
+    const gapDescriptor = gap ? createCustomRange(gap.from, gap.to) : rangeDescriptor;
+    const { logs, debug } = await fetchGatewayLogs(gapDescriptor, {
+      ...fetchOptions,
+      ...(gap ? {} : { nowSeconds: historyEnd, fallback: !covered.length }),
+      logger,
+    });
+    debugs.push(debug);
+    fetchedLogCount += logs.length;
+
+    if (debug.fallbackUsed) {
+      // The lifetime walk found nothing and returned the latest records instead; serve them
+      // as-is without recording coverage.
+      const merged = mergeFetchDebug(rangeDescriptor, debugs, fetchOptions.minSegmentSeconds);
+      return {
+        logs,
+        debug: {
+          ...merged,
+          fallbackUsed: true,
+          effectiveRangeKey: debug.effectiveRangeKey,
+          effectiveRangeLabel: debug.effectiveRangeLabel,
+          totalLogs: logs.length,
+        },
+      };
+    }
+
+    // Records the store already holds are dropped as duplicates.
+    const appendedNow = await store.append(logs);
+    appended += appendedNow;
+    debug.duplicatesDropped = (debug.duplicatesDropped ?? 0) + logs.length - appendedNow;
+    const settledUntil = nowSeconds - INGEST_LAG_SECONDS;
+    const fetchedWindows = debug.fetchedWindows.map((window) => ({
+      from: window.from,
+      to: Math.min(window.to, settledUntil),
+    }));
+    // fetchedWindows leaves out saturated windows, so the walk's reach is taken from every
+    // segment it fetched; everything below that is empty history.
+    if (!gap && debug.historyExhausted) {
+      const oldest = Math.min(historyEnd, ...debug.segmentTrees.map((tree) => tree.from));
+      fetchedWindows.push({ from: 0, to: Math.min(oldest, settledUntil) });
+    }
+    await store.markCovered(fetchedWindows.filter((window) => window.to > window.from));
+  }
+
+  const logs = isLifetime
+    ? await store.read({ from: null, to: null }, { limit: lifetimeLogLimit })
+    : await store.read(requestedWindow(rangeDescriptor, nowSeconds));
+  const debug = mergeFetchDebug(rangeDescriptor, debugs, fetchOptions.minSegmentSeconds);
+  debug.store = {
+    gapsFetched: gaps.length,
+    fetchedLogs: fetchedLogCount,
+    appendedLogs: appended,
+    servedLogs: logs.length,
+  };
+  debug.totalLogs = logs.length;
+  if (isLifetime && logs.length >= lifetimeLogLimit) {
+    debug.limitReached = true;
+  }
+  debug.messages.push(
+    gaps.length
+      ? `Fetched ${gaps.length} uncovered window(s) (${fetchedLogCount} logs, ${appended} new); serving ${logs.length} stored logs.`
+      : `Range fully covered by the local store; serving ${logs.length} stored logs.`
+  );
+  logger?.info?.(debug.messages[debug.messages.length - 1]);
+
+  return { logs, debug };
+}
@@ -0,0 +1,36 @@
+/*
+  Runtime-agnostic core for fetching and summarizing Cloudflare Gateway activity logs.
+  Shared by server.js, the Pages Function and scripts/fetch-summary.js so a summary for the
+  same range is computed identically everywhere. Nothing here imports Node built-ins;
+  `fetch` is injected by the caller. Node-only helpers (such as the on-disk log store) live
+  in lib/node/ and are imported directly by the Node entry points.
+*/
+
+export * from './aggregate.js';
+export * from './config.js';
+export * from './params.js';
+export * from './ranges.js';
+export * from './logs.js';
+export * from './request-policy.js';
+export * from './gateway-client.js';
+export * from './accounts.js';
+export * from './incremental.js';
+export * from './filters.js';
+export * from './categories.js';
+export * from './policies.js';
+export * from './sources.js';
+export * from './geography.js';
+export * from './public-suffix.js';
+export * from './grouping.js';
+export * from './summary.js';
+export * from './domain.js';
+export * from './timeseries.js';
+export * from './breakdowns.js';
+export * from './resolver-health.js';
+export * from './compare.js';
+export * from './anomalies.js';
+export * from './alerts.js';
+export * from './export.js';
+export * from './access.js';
+export * from './hmac.js';
+export * from './redaction.js';
@@ -0,0 +1,233 @@
+import { getRegistrableDomain } from './public-suffix.js';
+
+export const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const blockPattern = /(dns|tls)?_?block/i;
+
+export function isBlocked(log) {
+  const actionField = log?.action_name ?? log?.action ?? '';
+  if (blockPattern.test(actionField)) {
+    return true;
+  }
+  if (log?.blocked === true) {
+    return true;
+  }
+  if (typeof log?.decision === 'string' && /block/i.test(log.decision)) {
+    return true;
+  }
+  return false;
+}
+
+export function extractDomain(log) {
+  const candidate = log?.query ?? log?.hostname ?? log?.sni ?? log?.domain ?? 'unknown';
+  return String(candidate).toLowerCase();
+}
+
+// Registrable domain per the embedded Public Suffix List, so `a.example.co.uk` and
+// `b.example.co.uk` group together while `alice.github.io` and `bob.github.io` stay apart.
+export function normalizeDomain(raw) {
+  if (!raw || typeof raw !== 'string') {
+    return 'unknown';
+  }
+  return getRegistrableDomain(raw) ?? raw;
+}
+
+// Stable identity for a log record: Cloudflare's `query_id` when present, otherwise a
+// composite of the fields that distinguish one query from another.
+export function logIdentity(log) {
+  if (typeof log?.query_id === 'string' && log.query_id) {
+    return log.query_id;
+  }
+  return [
+    'composite',
+    log?.datetime ?? log?.timestamp ?? '',
+    log?.query ?? log?.hostname ?? '',
+    log?.query_type ?? '',
+    log?.source_ip ?? '',
+    log?.device_id ?? '',
+  ].join('|');
+}
+
+export function dedupeLogs(logs) {
+  if (!Array.isArray(logs)) {
+    return [];
+  }
+  const seen = new Set();
+  const out = [];
+  logs.forEach((log) => {
+    const key = logIdentity(log);
+    if (!seen.has(key)) {
+      seen.add(key);
+      out.push(log);
+    }
+  });
+  return out;
+}
+
+export function parseTimestampValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    if (value > 1e12) {
+      return value;
+    }
+    if (value > 1e5) {
+      return value * 1000;
+    }
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (!trimmed) {
+      return null;
+    }
+
+    const numeric = Number(trimmed);
+    if (!Number.isNaN(numeric)) {
+      return parseTimestampValue(numeric);
+    }
+
+    const parsed = Date.parse(trimmed);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  return null;
+}
+
+export function extractLogTimestamp(log) {
+  if (!log || typeof log !== 'object') {
+    return null;
+  }
+
+  const candidates = [
+    log.datetime,
+    log.timestamp,
+    log.time,
+    log.event_time,
+    log.log_time,
+    log.ts,
+    log.meta?.timestamp,
+    log.metadata?.timestamp,
+  ];
+
+  for (const candidate of candidates) {
+    const parsed = parseTimestampValue(candidate);
+    if (parsed !== null) {
+      return parsed;
+    }
+  }
+
+  return null;
+}
+
+export function formatRecordCount(count) {
+  return Number(count).toLocaleString();
+}
+
+export function describeCoverage(rangeDescriptor, entries, totalCount) {
+  const knownTimestamps = entries
+    .map((entry) => entry.timestamp)
+    .filter((timestamp) => typeof timestamp === 'number' && Number.isFinite(timestamp));
+
+  if (!knownTimestamps.length) {
+    if (rangeDescriptor.days === null) {
+      return `Latest ${formatRecordCount(totalCount)} records`;
+    }
+    return `${rangeDescriptor.label} (limited to available records)`;
+  }
+
+  const latest = Math.max(...knownTimestamps);
+  const earliest = Math.min(...knownTimestamps);
+  const spanMs = Math.max(0, latest - earliest);
+  const spanDays = spanMs / DAY_IN_MS;
+
+  if (rangeDescriptor.days === null) {
+    if (spanDays >= 1) {
+      return `Latest ${formatRecordCount(totalCount)} records (~${Math.max(
+        1,
+        Math.round(spanDays)
+      )} days)`;
+    }
+    return `Latest ${formatRecordCount(totalCount)} records (past few hours)`;
+  }
+
+  if (spanDays >= rangeDescriptor.days - 0.5) {
+    return rangeDescriptor.label;
+  }
+
+  if (spanDays >= 1) {
+    return `Last ~${Math.max(1, Math.round(spanDays))} days`;
+  }
+
+  return 'Last few hours';
+}
+
+export function filterLogsByRange(logs, rangeDescriptor) {
+  if (!Array.isArray(logs) || logs.length === 0) {
+    return {
+      logs: [],
+      effectiveRange: rangeDescriptor.key,
+      effectiveRangeLabel: rangeDescriptor.label,
+    };
+  }
+
+  const enriched = logs.map((log) => ({
+    log,
+    timestamp: extractLogTimestamp(log),
+  }));
+
+  if (rangeDescriptor.days === null) {
+    return {
+      logs,
+      effectiveRange: rangeDescriptor.key,
+      effectiveRangeLabel: describeCoverage(rangeDescriptor, enriched, logs.length),
+    };
+  }
+
+  // Absolute windows are filtered by their own bounds rather than relative to the newest log.
+  if (typeof rangeDescriptor.from === 'number' && typeof rangeDescriptor.to === 'number') {
+    const startMs = rangeDescriptor.from * 1000;
+    const endMs = rangeDescriptor.to * 1000;
+    return {
+      logs: enriched
+        .filter(
+          (entry) =>
+            entry.timestamp === null || (entry.timestamp >= startMs && entry.timestamp <= endMs)
+        )
+        .map((entry) => entry.log),
+      effectiveRange: rangeDescriptor.key,
+      effectiveRangeLabel: rangeDescriptor.label,
+    };
+  }
+
+  const known = enriched.filter((entry) => entry.timestamp !== null);
+
+  if (!known.length) {
+    const fallbackLabel = `Latest ${formatRecordCount(logs.length)} records`;
+    return {
+      logs,
+      effectiveRange: 'latest',
+      effectiveRangeLabel: fallbackLabel,
+    };
+  }
+
+  const maxTimestamp = known.reduce(
+    (max, entry) => (entry.timestamp > max ? entry.timestamp : max),
+    known[0].timestamp
+  );
+  const cutoff = maxTimestamp - rangeDescriptor.days * DAY_IN_MS;
+
+  const filteredEntries = enriched.filter(
+    (entry) => entry.timestamp === null || entry.timestamp >= cutoff
+  );
+  const filteredLogs = filteredEntries.map((entry) => entry.log);
+
+  return {
+    logs: filteredLogs,
+    effectiveRange: rangeDescriptor.key,
+    effectiveRangeLabel: describeCoverage(rangeDescriptor, filteredEntries, filteredLogs.length),
+  };
+}
@@ -0,0 +1,263 @@
+// Built-in authentication for server.js. Identities come from either or both of:
+// - a local users file, `{ "alice": { "password": "scrypt$...", "role": "admin" } }`, checked
+//   against HTTP Basic credentials. scripts/hash-password.js produces the hashes.
+// - signed JWTs in a request header, as sent by Cloudflare Access or an OIDC proxy, verified
+//   against a local JWKS file. The role comes from a claim.
+// With neither configured, authentication is off.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { accessRoles } from '../access.js';
+import { createRequestLimiter } from '../request-policy.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_COST = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 32;
+const SCRYPT_MAX_MEMORY = 64 * 1024 * 1024;
+const CLOCK_SKEW_SECONDS = 60;
+// Verified Basic credentials are remembered briefly so every request does not pay for scrypt.
+const CREDENTIAL_CACHE_MS = 5 * 60 * 1000;
+const CREDENTIAL_CACHE_LIMIT = 100;
+// Unknown user names are checked against this hash, so they take as long to reject as a wrong
+// password and response times do not reveal which names exist.
+const DUMMY_PASSWORD_HASH = 'scrypt$16384$8$1$ewZZf1xlMsdmqbovuZRtAA$hNCUnksyIN-j2Ng4AU2rMhiH8nNS3SmxpJG7vSsO13E';
+// A failed password locks its user name out for a while, doubling with every further failure
+// up to the maximum, until the name has had no failures for the reset period. Locked names are
+// rejected without running scrypt.
+const LOCKOUT_MS = 500;
+const MAX_LOCKOUT_MS = 30 * 1000;
+const FAILURE_RESET_MS = 15 * 60 * 1000;
+const FAILURE_TRACKING_LIMIT = 1000;
+// scrypt is deliberately expensive, so only a few password checks run at once.
+const MAX_CONCURRENT_VERIFICATIONS = 2;
+
+const jwtAlgorithms = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null },
+};
+
+// `scrypt$N$r$p$salt$hash`, with salt and hash in base64url.
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, SCRYPT_KEY_LENGTH, {
+    ...SCRYPT_COST,
+    maxmem: SCRYPT_MAX_MEMORY,
+  });
+  const { N, r, p } = SCRYPT_COST;
+  return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored ?? '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64url');
+  try {
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64url'), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p),
+      maxmem: SCRYPT_MAX_MEMORY,
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch {
+    return false;
+  }
+}
+
+function normalizeUsers(raw, errors) {
+  const users = new Map();
+  Object.entries(raw || {}).forEach(([name, entry]) => {
+    const role = entry?.role ?? 'viewer';
+    if (typeof entry?.password !== 'string' || !entry.password.startsWith('scrypt$')) {
+      errors.push(`user ${name}: "password" must be a hash from scripts/hash-password.js.`);
+    } else if (!accessRoles.includes(role)) {
+      errors.push(`user ${name}: unknown role "${role}"; use ${accessRoles.join(', ')}.`);
+    } else {
+      users.set(name, { password: entry.password, role });
+    }
+  });
+  return users;
+}
+
+function normalizeJwks(raw, errors) {
+  return (Array.isArray(raw?.keys) ? raw.keys : []).flatMap((jwk, index) => {
+    try {
+      return [{ kid: jwk.kid ?? null, alg: jwk.alg ?? null, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }];
+    } catch (error) {
+      errors.push(`JWKS key ${jwk?.kid ?? index + 1}: ${error.message}`);
+      return [];
+    }
+  });
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Checks the signature against `keys` and the exp, nbf, iss and aud claims. Returns the
+// claims; throws with the reason otherwise.
+export function verifyJwt(token, keys, options = {}) {
+  const { issuer = null, audience = null, nowSeconds = Math.floor(Date.now() / 1000) } = options;
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error('malformed token');
+  }
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch {
+    throw new Error('malformed token');
+  }
+  const algorithm = jwtAlgorithms[header?.alg];
+  if (!algorithm) {
+    throw new Error(`unsupported algorithm "${header?.alg}"`);
+  }
+
+  const data = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], 'base64url');
+  const verified = keys
+    .filter((entry) => (!header.kid || entry.kid === header.kid) && (!entry.alg || entry.alg === header.alg))
+    .some(({ key }) => {
+      try {
+        return crypto.verify(
+          algorithm.hash,
+          data,
+          algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+          signature
+        );
+      } catch {
+        return false;
+      }
+    });
+  if (!verified) {
+    throw new Error('signature does not match any JWKS key');
+  }
+
+  if (typeof claims.exp === 'number' && nowSeconds > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new Error('token expired');
+  }
+  if (typeof claims.nbf === 'number' && nowSeconds < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new Error('token not yet valid');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new Error(`unexpected issuer "${claims.iss}"`);
+  }
+  if (audience && !(Array.isArray(claims.aud) ? claims.aud : [claims.aud]).includes(audience)) {
+    throw new Error('token is not meant for this audience');
+  }
+  return claims;
+}
+
+function readHeader(headers, name) {
+  const value = headers?.[name.toLowerCase()];
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Options: `users` and `jwks` (parsed config files), `jwtHeader`, `roleClaim`, `issuer` and
+// `audience`. `authenticate(headers)` resolves to `{ name, role, method }`, to null when the
+// request carries no credentials, and throws with the reason when they are rejected.
+export function createAuthenticator(options = {}) {
+  const { jwtHeader = 'authorization', roleClaim = 'role', issuer = null, audience = null } = options;
+  const errors = [];
+  const users = normalizeUsers(options.users, errors);
+  const keys = normalizeJwks(options.jwks, errors);
+  const verifiedCredentials = new Map();
+  // Failures per user name, oldest first, so the least recently failing name is evicted.
+  const failedAttempts = new Map();
+  const verifications = createRequestLimiter(MAX_CONCURRENT_VERIFICATIONS);
+
+  function lockedUntil(name) {
+    return failedAttempts.get(name)?.lockedUntil ?? 0;
+  }
+
+  function recordFailure(name) {
+    const now = Date.now();
+    const previous = failedAttempts.get(name);
+    const count = previous && now - previous.failedAt < FAILURE_RESET_MS ? previous.count + 1 : 1;
+    failedAttempts.delete(name);
+    if (failedAttempts.size >= FAILURE_TRACKING_LIMIT) {
+      failedAttempts.delete(failedAttempts.keys().next().value);
+    }
+    failedAttempts.set(name, {
+      count,
+      failedAt: now,
+      lockedUntil: now + Math.min(MAX_LOCKOUT_MS, LOCKOUT_MS * 2 ** (count - 1)),
+    });
+  }
+
+  async function authenticateBasic(encoded) {
+    const digest = crypto.createHash('sha256').update(encoded).digest('base64url');
+    const remembered = verifiedCredentials.get(digest);
+    if (remembered && Date.now() - remembered.verifiedAt < CREDENTIAL_CACHE_MS) {
+      return remembered.identity;
+    }
+
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    const name = separator === -1 ? decoded : decoded.slice(0, separator);
+    const user = users.get(name);
+    // The lockout is checked once a verification slot is free, so guesses queued in parallel
+    // see the failures recorded ahead of them.
+    await verifications.run(async () => {
+      if (lockedUntil(name) > Date.now()) {
+        throw new Error(`too many failed sign-ins for user "${name}"; try again later`);
+      }
+      const password = decoded.slice(separator + 1);
+      if (!(await verifyPassword(password, user?.password ?? DUMMY_PASSWORD_HASH)) || !user) {
+        recordFailure(name);
+        throw new Error(`rejected password for user "${name}"`);
+      }
+      failedAttempts.delete(name);
+    });
+
+    const identity = { name, role: user.role, method: 'password' };
+    if (verifiedCredentials.size >= CREDENTIAL_CACHE_LIMIT) {
+      verifiedCredentials.clear();
+    }
+    verifiedCredentials.set(digest, { identity, verifiedAt: Date.now() });
+    return identity;
+  }
+
+  function authenticateToken(token) {
+    const claims = verifyJwt(token, keys, { issuer, audience });
+    const roles = [claims[roleClaim]].flat().filter((role) => typeof role === 'string');
+    return {
+      name: claims.email ?? claims.sub ?? null,
+      role: roles.includes('admin') ? 'admin' : 'viewer',
+      method: 'token',
+    };
+  }
+
+  async function authenticate(headers) {
+    const authorization = readHeader(headers, 'authorization');
+    if (users.size && /^basic /i.test(authorization)) {
+      return authenticateBasic(authorization.slice(6).trim());
+    }
+    if (keys.length) {
+      const value = readHeader(headers, jwtHeader);
+      const token = jwtHeader.toLowerCase() === 'authorization' ? value.match(/^bearer\s+(\S+)$/i)?.[1] : value;
+      if (token) {
+        return authenticateToken(token);
+      }
+    }
+    return null;
+  }
+
+  return {
+    enabled: users.size > 0 || keys.length > 0,
+    acceptsPasswords: users.size > 0,
+    userCount: users.size,
+    keyCount: keys.length,
+    errors,
+    authenticate,
+  };
+}
@@ -0,0 +1,207 @@
+// Append-only on-disk log store for the Node entry points. Logs are written as NDJSON, one
+// file per UTC day of their timestamp, next to a manifest recording which time windows have
+// been fetched. Records are deduplicated by identity (`query_id`, see logIdentity) across the
+// whole store.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { extractLogTimestamp, logIdentity, mergeWindows } from '../index.js';
+
+const MANIFEST_VERSION = 1;
+const UNDATED_PARTITION = 'undated';
+const partitionPattern = /^(\d{4}-\d{2}-\d{2}|undated)\.ndjson$/;
+
+function partitionFor(log) {
+  const timestamp = extractLogTimestamp(log);
+  return timestamp === null ? UNDATED_PARTITION : new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function partitionOverlaps(partition, window) {
+  if (partition === UNDATED_PARTITION) {
+    return window.from === null && window.to === null;
+  }
+  const dayStart = Date.parse(`${partition}T00:00:00Z`) / 1000;
+  const dayEnd = dayStart + 24 * 60 * 60;
+  const from = window.from ?? -Infinity;
+  const to = window.to ?? Infinity;
+  return dayEnd > from && dayStart <= to;
+}
+
+export function createFileLogStore(directory) {
+  const logsDirectory = path.join(directory, 'logs');
+  const manifestPath = path.join(directory, 'manifest.json');
+  const seenIdentities = new Set();
+  let manifest = { version: MANIFEST_VERSION, windows: [] };
+  let readyPromise = null;
+  // Appends and manifest writes are chained so concurrent refreshes never interleave lines.
+  let writeQueue = Promise.resolve();
+
+  async function readPartition(partition) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(logsDirectory, `${partition}.ndjson`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const logs = [];
+    content.split('\n').forEach((line) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        logs.push(JSON.parse(line));
+      } catch (parseError) {
+        console.warn(`[Store] Skipping unreadable line in ${partition}.ndjson: ${parseError.message}`);
+      }
+    });
+    return logs;
+  }
+
+  async function listPartitions() {
+    try {
+      const entries = await fs.readdir(logsDirectory);
+      return entries
+        .map((entry) => partitionPattern.exec(entry)?.[1])
+        .filter(Boolean)
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  function enqueueWrite(task) {
+    const result = writeQueue.then(task);
+    writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  function ready() {
+    if (!readyPromise) {
+      readyPromise = (async () => {
+        await fs.mkdir(logsDirectory, { recursive: true });
+        try {
+          const stored = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+          if (stored?.version === MANIFEST_VERSION && Array.isArray(stored.windows)) {
+            manifest = { version: MANIFEST_VERSION, windows: mergeWindows(stored.windows) };
+          }
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.warn(`[Store] Ignoring unreadable manifest: ${error.message}`);
+          }
+        }
+        for (const partition of await listPartitions()) {
+          (await readPartition(partition)).forEach((log) => {
+            seenIdentities.add(logIdentity(log));
+          });
+        }
+        console.info(
+          `[Store] Loaded log store at ${directory} (${seenIdentities.size} records, ${manifest.windows.length} covered window(s)).`
+        );
+      })();
+    }
+    return readyPromise;
+  }
+
+  async function coveredWindows() {
+    await ready();
+    return manifest.windows.map((window) => ({ ...window }));
+  }
+
+  async function append(logs) {
+    await ready();
+    return enqueueWrite(async () => {
+      const partitions = new Map();
+      const batchIdentities = new Set();
+      let appended = 0;
+      (logs || []).forEach((log) => {
+        const identity = logIdentity(log);
+        if (seenIdentities.has(identity) || batchIdentities.has(identity)) {
+          return;
+        }
+        batchIdentities.add(identity);
+        const partition = partitionFor(log);
+        if (!partitions.has(partition)) {
+          partitions.set(partition, { identities: [], lines: [] });
+        }
+        partitions.get(partition).identities.push(identity);
+        partitions.get(partition).lines.push(JSON.stringify(log));
+      });
+      // Records only count as seen once they are on disk, so a failed write is retried by the
+      // next append instead of being skipped as a duplicate.
+      for (const [partition, { identities, lines }] of partitions) {
+        await fs.appendFile(
+          path.join(logsDirectory, `${partition}.ndjson`),
+          `${lines.join('\n')}\n`,
+          'utf8'
+        );
+        identities.forEach((identity) => seenIdentities.add(identity));
+        appended += lines.length;
+      }
+      return appended;
+    });
+  }
+
+  async function markCovered(windows) {
+    await ready();
+    if (!windows?.length) {
+      return;
+    }
+    await enqueueWrite(async () => {
+      manifest = {
+        version: MANIFEST_VERSION,
+        windows: mergeWindows([...manifest.windows, ...windows]),
+      };
+      const temporaryPath = `${manifestPath}.tmp`;
+      await fs.writeFile(temporaryPath, JSON.stringify(manifest, null, 2), 'utf8');
+      await fs.rename(temporaryPath, manifestPath);
+    });
+  }
+
+  // Returns stored logs inside the window (seconds; null bounds are open), newest first to
+  // match the order the Cloudflare API returns. With a `limit`, only the newest `limit` logs
+  // are returned and partitions are read newest first until that many have been found, so a
+  // lifetime read holds at most one partition beyond the limit in memory.
+  async function read(window = { from: null, to: null }, { limit = Infinity } = {}) {
+    await ready();
+    await writeQueue;
+    const fromMs = typeof window.from === 'number' ? window.from * 1000 : -Infinity;
+    const toMs = typeof window.to === 'number' ? window.to * 1000 : Infinity;
+    const partitions = (await listPartitions())
+      .filter((partition) => partitionOverlaps(partition, window))
+      .reverse();
+    // Undated records sort last, so their partition is read last.
+    if (partitions[0] === UNDATED_PARTITION) {
+      partitions.push(partitions.shift());
+    }
+    const entries = [];
+    for (const partition of partitions) {
+      if (entries.length >= limit) {
+        break;
+      }
+      (await readPartition(partition)).forEach((log) => {
+        const timestamp = extractLogTimestamp(log);
+        if (timestamp === null || (timestamp >= fromMs && timestamp <= toMs)) {
+          entries.push({ log, timestamp: timestamp ?? -Infinity });
+        }
+      });
+    }
+    return entries
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit)
+      .map((entry) => entry.log);
+  }
+
+  return {
+    directory,
+    coveredWindows,
+    append,
+    markCovered,
+    read,
+  };
+}
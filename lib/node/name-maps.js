@@ -0,0 +1,31 @@
+// Optional local JSON files that give friendly names to IDs found in the logs, e.g.
+// `{ "117": "Malware" }`. Read once at startup by the Node entry points; a missing file is
+// the normal case and yields an empty map.
+
+import fs from 'fs';
+
+export function loadNameMap(filePath, label = 'name map') {
+  if (!filePath) {
+    return {};
+  }
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[Config] Unable to read ${label} ${filePath}: ${error.message}`);
+    }
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(content);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object');
+    }
+    console.info(`[Config] Loaded ${Object.keys(parsed).length} entries from ${label} ${filePath}.`);
+    return parsed;
+  } catch (error) {
+    console.warn(`[Config] Ignoring ${label} ${filePath}: ${error.message}`);
+    return {};
+  }
+}
@@ -0,0 +1,9 @@
+// Reads a query parameter from URLSearchParams (Workers, scripts) or a plain query object
+// (Express `req.query`). Repeated parameters are joined with commas.
+export function readParam(params, key) {
+  const value = typeof params?.get === 'function' ? params.get(key) : params?.[key];
+  if (Array.isArray(value)) {
+    return value.join(',');
+  }
+  return typeof value === 'string' ? value : '';
+}
@@ -0,0 +1,81 @@
+import { countBy, topEntries } from './aggregate.js';
+import { extractDomain, extractLogTimestamp, isBlocked } from './logs.js';
+
+const POLICY_TOP_DOMAINS = 5;
+
+// Normalizes a `{ "<policy_uuid>": "<name>" }` map (see lib/node/name-maps.js). Keys are
+// lowercased and dashes removed, because logs report UUIDs without them.
+export function resolvePolicyNames(overrides = {}) {
+  const names = {};
+  Object.entries(overrides || {}).forEach(([id, name]) => {
+    const key = normalizePolicyId(id);
+    if (key && typeof name === 'string' && name.trim()) {
+      names[key] = name.trim();
+    }
+  });
+  return names;
+}
+
+export function normalizePolicyId(id) {
+  return typeof id === 'string' ? id.trim().toLowerCase().replace(/-/g, '') : '';
+}
+
+function toIso(timestamp) {
+  return timestamp === null ? null : new Date(timestamp).toISOString();
+}
+
+// Per-policy hit counts, most hits first. Policies named in `names` but absent from the logs
+// are listed with zero hits so unused rules stand out. Requests that matched no policy
+// (empty `policy_uuid`) are counted separately in `unmatched`.
+export function summarizePolicies(logs, names = {}) {
+  const groups = new Map();
+  const unmatched = { hits: 0, blocked: 0 };
+
+  (logs || []).forEach((log) => {
+    const id = normalizePolicyId(log?.policy_uuid);
+    const blocked = isBlocked(log);
+    if (!id) {
+      unmatched.hits += 1;
+      unmatched.blocked += blocked ? 1 : 0;
+      return;
+    }
+    const group = groups.get(id) ?? { logs: [], blocked: 0, first: null, last: null };
+    group.logs.push(log);
+    group.blocked += blocked ? 1 : 0;
+    const timestamp = extractLogTimestamp(log);
+    if (timestamp !== null) {
+      group.first = group.first === null ? timestamp : Math.min(group.first, timestamp);
+      group.last = group.last === null ? timestamp : Math.max(group.last, timestamp);
+    }
+    groups.set(id, group);
+  });
+
+  const entries = Array.from(groups.entries()).map(([id, group]) => ({
+    id,
+    name: names[id] ?? null,
+    hits: group.logs.length,
+    blocked: group.blocked,
+    allowed: group.logs.length - group.blocked,
+    topDomains: topEntries(countBy(group.logs, extractDomain), POLICY_TOP_DOMAINS),
+    firstSeen: toIso(group.first),
+    lastSeen: toIso(group.last),
+  }));
+
+  Object.entries(names).forEach(([id, name]) => {
+    if (!groups.has(id)) {
+      entries.push({
+        id,
+        name,
+        hits: 0,
+        blocked: 0,
+        allowed: 0,
+        topDomains: [],
+        firstSeen: null,
+        lastSeen: null,
+      });
+    }
+  });
+
+  entries.sort((a, b) => b.hits - a.hits || (a.name ?? a.id).localeCompare(b.name ?? b.id));
+  return { entries, unmatched };
+}
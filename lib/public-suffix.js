@@ -0,0 +1,70 @@
+import { publicSuffixRules } from './public-suffix-list.js';
+
+// Rule sets are built on first use: plain suffixes, wildcard bases (`*.ck` is stored as `ck`)
+// and exceptions (`!www.ck` is stored as `www.ck`).
+let ruleSets = null;
+
+function loadRuleSets() {
+  if (ruleSets) {
+    return ruleSets;
+  }
+  ruleSets = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+  publicSuffixRules.split('\n').forEach((rule) => {
+    if (!rule) {
+      return;
+    }
+    if (rule.startsWith('!')) {
+      ruleSets.exceptions.add(rule.slice(1));
+    } else if (rule.startsWith('*.')) {
+      ruleSets.wildcards.add(rule.slice(2));
+    } else {
+      ruleSets.rules.add(rule);
+    }
+  });
+  return ruleSets;
+}
+
+function splitLabels(hostname) {
+  if (typeof hostname !== 'string') {
+    return [];
+  }
+  return hostname.trim().toLowerCase().replace(/\.$/, '').split('.').filter(Boolean);
+}
+
+// Number of trailing labels that form the public suffix, following the PSL algorithm: the
+// longest matching rule wins, exceptions beat wildcards and unlisted TLDs count as suffixes.
+function publicSuffixLength(labels) {
+  const { rules, wildcards, exceptions } = loadRuleSets();
+  for (let index = 0; index < labels.length; index += 1) {
+    const candidate = labels.slice(index).join('.');
+    if (exceptions.has(candidate)) {
+      return labels.length - index - 1;
+    }
+    if (rules.has(candidate)) {
+      return labels.length - index;
+    }
+    if (index + 1 < labels.length && wildcards.has(labels.slice(index + 1).join('.'))) {
+      return labels.length - index;
+    }
+  }
+  return labels.length ? 1 : 0;
+}
+
+export function getPublicSuffix(hostname) {
+  const labels = splitLabels(hostname);
+  if (!labels.length) {
+    return null;
+  }
+  return labels.slice(-publicSuffixLength(labels)).join('.');
+}
+
+// The public suffix plus `depth` labels below it (depth 1 is the registrable domain, e.g.
+// `example.co.uk`). Hostnames that are too short are returned whole.
+export function getRegistrableDomain(hostname, depth = 1) {
+  const labels = splitLabels(hostname);
+  if (!labels.length) {
+    return null;
+  }
+  const keep = Math.min(labels.length, publicSuffixLength(labels) + Math.max(1, depth));
+  return labels.slice(-keep).join('.');
+}
@@ -0,0 +1,207 @@
+import { parseTimestampValue } from './logs.js';
+import { readParam } from './params.js';
+
+export const rangeOptions = {
+  '7d': { key: '7d', label: 'Last 7 days', days: 7 },
+  '30d': { key: '30d', label: 'Last 30 days', days: 30 },
+  '365d': { key: '365d', label: 'Last 365 days', days: 365 },
+  latest: { key: 'latest', label: 'Latest 1000 records', days: null },
+  lifetime: { key: 'lifetime', label: 'All available data', days: null },
+};
+
+export const defaultRangeKey = '7d';
+export const rangeOrder = ['7d', '30d', '365d', 'lifetime'];
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const customRangeKeyPattern = /^custom:(\d+)-(\d+)$/;
+
+function formatRangeBoundary(seconds) {
+  return new Date(seconds * 1000).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+// Absolute windows carry `from`/`to` in epoch seconds. Their key encodes both bounds so it
+// can be cached separately and resolved back into the same descriptor.
+export function createCustomRange(fromSeconds, toSeconds) {
+  return {
+    key: `custom:${fromSeconds}-${toSeconds}`,
+    label: `${formatRangeBoundary(fromSeconds)} – ${formatRangeBoundary(toSeconds)} UTC`,
+    days: (toSeconds - fromSeconds) / SECONDS_PER_DAY,
+    from: fromSeconds,
+    to: toSeconds,
+    custom: true,
+  };
+}
+
+export function isCustomRange(rangeDescriptor) {
+  return Boolean(rangeDescriptor?.custom);
+}
+
+export function resolveRange(rangeKey) {
+  const normalized = typeof rangeKey === 'string' ? rangeKey.toLowerCase() : '';
+  const customMatch = customRangeKeyPattern.exec(normalized);
+  if (customMatch && Number(customMatch[1]) < Number(customMatch[2])) {
+    return createCustomRange(Number(customMatch[1]), Number(customMatch[2]));
+  }
+  return rangeOptions[normalized] ?? rangeOptions[defaultRangeKey];
+}
+
+// Accepts ISO 8601 strings or epoch seconds/milliseconds. `to` defaults to now and is clamped
+// to it. Returns null when neither bound is given; throws a RangeError for invalid input.
+export function parseCustomRange(fromValue, toValue, nowSeconds = Math.floor(Date.now() / 1000)) {
+  if (!fromValue && !toValue) {
+    return null;
+  }
+  if (!fromValue) {
+    throw new RangeError('A custom range needs a "from" timestamp.');
+  }
+
+  const fromMs = parseTimestampValue(fromValue);
+  if (fromMs === null) {
+    throw new RangeError(`Invalid "from" timestamp: ${fromValue}`);
+  }
+  const toMs = toValue ? parseTimestampValue(toValue) : nowSeconds * 1000;
+  if (toMs === null) {
+    throw new RangeError(`Invalid "to" timestamp: ${toValue}`);
+  }
+
+  const fromSeconds = Math.floor(fromMs / 1000);
+  const toSeconds = Math.min(Math.floor(toMs / 1000), nowSeconds);
+  if (toSeconds <= fromSeconds) {
+    throw new RangeError('"from" must be earlier than "to" (and than the current time).');
+  }
+
+  return createCustomRange(fromSeconds, toSeconds);
+}
+
+// Resolves `from`/`to` when present and falls back to the named `range` otherwise.
+export function resolveRangeRequest(params, nowSeconds) {
+  const customRange = parseCustomRange(
+    readParam(params, 'from').trim(),
+    readParam(params, 'to').trim(),
+    nowSeconds
+  );
+  return customRange ?? resolveRange(readParam(params, 'range') || defaultRangeKey);
+}
+
+export function determineSegmentSeconds(rangeDescriptor) {
+  const days = rangeDescriptor.days;
+  if (days === null) {
+    return null;
+  }
+  if (days <= 1) {
+    return 6 * 60 * 60;
+  }
+  if (days <= 3) {
+    return 12 * 60 * 60;
+  }
+  if (days <= 7) {
+    return 24 * 60 * 60;
+  }
+  if (days <= 30) {
+    return 3 * 24 * 60 * 60;
+  }
+  if (days <= 90) {
+    return 7 * 24 * 60 * 60;
+  }
+  return 14 * 24 * 60 * 60;
+}
+
+export function buildSegments(rangeDescriptor, nowSeconds) {
+  const segments = [];
+
+  if (rangeDescriptor.days === null) {
+    const segmentSeconds = 30 * 24 * 60 * 60; // 30-day slices for lifetime views
+    let segmentEnd = nowSeconds;
+    const maxSegments = 360; // roughly 30 years
+
+    while (segments.length < maxSegments) {
+      const segmentStart = Math.max(0, segmentEnd - segmentSeconds);
+      segments.push({ from: segmentStart, to: segmentEnd });
+      if (segmentStart === 0) {
+        break;
+      }
+      segmentEnd = segmentStart;
+    }
+
+    return segments;
+  }
+
+  const endSeconds =
+    typeof rangeDescriptor.to === 'number' ? Math.min(rangeDescriptor.to, nowSeconds) : nowSeconds;
+  const earliestSeconds =
+    typeof rangeDescriptor.from === 'number'
+      ? Math.max(0, rangeDescriptor.from)
+      : Math.max(0, endSeconds - rangeDescriptor.days * SECONDS_PER_DAY);
+  const segmentSeconds = determineSegmentSeconds(rangeDescriptor);
+  let segmentEnd = endSeconds;
+
+  while (segmentEnd > earliestSeconds) {
+    const segmentStart = Math.max(earliestSeconds, segmentEnd - segmentSeconds);
+    segments.push({ from: segmentStart, to: segmentEnd });
+    if (segmentStart === earliestSeconds) {
+      break;
+    }
+    segmentEnd = segmentStart;
+  }
+
+  return segments;
+}
+
+// The window of the same length that ends where `rangeDescriptor` starts, as an absolute
+// range, so it is fetched, segmented and cached like any from/to request. Relative ranges are
+// anchored at `anchorSeconds` (when they were fetched). Returns null for ranges without a
+// fixed length.
+export function buildPreviousRange(rangeDescriptor, anchorSeconds) {
+  if (rangeDescriptor?.days === null || rangeDescriptor?.days === undefined) {
+    return null;
+  }
+  const endSeconds =
+    typeof rangeDescriptor.to === 'number' ? Math.min(rangeDescriptor.to, anchorSeconds) : anchorSeconds;
+  const startSeconds =
+    typeof rangeDescriptor.from === 'number'
+      ? rangeDescriptor.from
+      : endSeconds - Math.round(rangeDescriptor.days * SECONDS_PER_DAY);
+  const spanSeconds = endSeconds - startSeconds;
+  if (spanSeconds <= 0 || startSeconds - spanSeconds < 0) {
+    return null;
+  }
+  return createCustomRange(startSeconds - spanSeconds, startSeconds);
+}
+
+// Window helpers for time coverage bookkeeping. Windows are `{ from, to }` in epoch seconds.
+export function mergeWindows(windows) {
+  const sorted = (windows || [])
+    .filter((window) => typeof window?.from === 'number' && typeof window?.to === 'number')
+    .filter((window) => window.to > window.from)
+    .map((window) => ({ from: window.from, to: window.to }))
+    .sort((a, b) => a.from - b.from);
+
+  const merged = [];
+  sorted.forEach((window) => {
+    const last = merged[merged.length - 1];
+    if (last && window.from <= last.to) {
+      last.to = Math.max(last.to, window.to);
+    } else {
+      merged.push(window);
+    }
+  });
+  return merged;
+}
+
+export function subtractWindows(window, covered) {
+  const gaps = [];
+  let cursor = window.from;
+  mergeWindows(covered).forEach((coveredWindow) => {
+    if (coveredWindow.to <= cursor || coveredWindow.from >= window.to) {
+      return;
+    }
+    if (coveredWindow.from > cursor) {
+      gaps.push({ from: cursor, to: coveredWindow.from });
+    }
+    cursor = Math.max(cursor, coveredWindow.to);
+  });
+  if (cursor < window.to) {
+    gaps.push({ from: cursor, to: window.to });
+  }
+  return gaps;
+}
@@ -0,0 +1,209 @@
+import { hmacSha256, toHex } from './hmac.js';
+
+// What happens to a log field before it leaves the process:
+// - keep: unchanged.
+// - drop: removed from the record.
+// - hash: replaced by a keyed HMAC-SHA256 (first 16 hex digits), so the same value always
+//   maps to the same token and records stay joinable without revealing it. Needs a key;
+//   without one, hashed fields are dropped.
+// - truncate-ip: IPv4 addresses keep their /24 and IPv6 addresses their /48.
+export const redactionActions = ['keep', 'drop', 'hash', 'truncate-ip'];
+
+// `safe` is the default for the static build, the Pages Function and server.js viewers.
+export const redactionProfiles = {
+  none: {},
+  safe: {
+    email: 'hash',
+    user_id: 'hash',
+    user_name: 'drop',
+    device_id: 'hash',
+    device_name: 'drop',
+    registration_id: 'hash',
+    source_ip: 'truncate-ip',
+    source_port: 'drop',
+    resolved_ips: 'truncate-ip',
+    doh_subdomain: 'hash',
+    dot_subdomain: 'hash',
+  },
+  strict: {
+    email: 'drop',
+    user_id: 'drop',
+    user_name: 'drop',
+    device_id: 'drop',
+    device_name: 'drop',
+    registration_id: 'drop',
+    source_ip: 'drop',
+    source_port: 'drop',
+    resolved_ips: 'drop',
+    doh_subdomain: 'drop',
+    dot_subdomain: 'drop',
+  },
+};
+
+// Summary tables keyed by a log field, so they follow that field's action.
+const summarySourceFields = {
+  users: 'email',
+  devices: 'device_id',
+};
+
+// Log filters (see filters.js) that single out the value of a redacted field. A profile
+// that does not keep those fields must not let them be probed through a filter either.
+const protectedFilterFields = {
+  user: ['email', 'user_id'],
+  device_id: ['device_id'],
+};
+
+// Parses a profile spec: a profile name optionally followed by `field:action` overrides, all
+// comma-separated, e.g. `safe,email:drop,source_ip:hash`. Overrides alone extend `none`.
+// Throws a RangeError for unknown profiles or actions.
+export function parseRedactionProfile(spec, fallback = 'none') {
+  const tokens = String(spec ?? '')
+    .split(',')
+    .map((token) => token.trim())
+    .filter(Boolean);
+  const name = tokens[0] && !tokens[0].includes(':') ? tokens.shift().toLowerCase() : fallback;
+  if (!redactionProfiles[name]) {
+    throw new RangeError(
+      `Unknown redaction profile "${name}"; use ${Object.keys(redactionProfiles).join(', ')}.`
+    );
+  }
+  const fields = { ...redactionProfiles[name] };
+  tokens.forEach((token) => {
+    const [field, action] = token.split(':').map((part) => part.trim());
+    if (!field || !redactionActions.includes(action)) {
+      throw new RangeError(
+        `Invalid redaction override "${token}"; use field:action with ${redactionActions.join(', ')}.`
+      );
+    }
+    fields[field] = action;
+  });
+  return { name, fields };
+}
+
+function expandIpv6(address) {
+  const [head, tail] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  if (tail === undefined) {
+    return headParts;
+  }
+  const tailParts = tail ? tail.split(':') : [];
+  return [...headParts, ...new Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts];
+}
+
+// `192.0.2.77` -> `192.0.2.0`, `2001:db8:1:2::5` -> `2001:db8:1::`. Anything else is not an
+// address and yields null.
+export function truncateIp(value) {
+  const text = String(value ?? '').trim();
+  const ipv4 = text.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.\d{1,3}$/);
+  if (ipv4) {
+    return `${ipv4[1]}.${ipv4[2]}.${ipv4[3]}.0`;
+  }
+  if (text.includes(':') && /^[0-9a-f:]+$/i.test(text.replace(/%.*$/, ''))) {
+    const parts = expandIpv6(text.replace(/%.*$/, '').toLowerCase());
+    if (parts.length === 8) {
+      const prefix = parts.slice(0, 3).map((part) => part.replace(/^0+(?=.)/, ''));
+      while (prefix.length && prefix[prefix.length - 1] === '0') {
+        prefix.pop();
+      }
+      return `${prefix.join(':')}::`;
+    }
+  }
+  return null;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+// Builds the redaction functions for a profile from parseRedactionProfile. `key` is the HMAC
+// key for `hash`; `warnings` reports what a missing key changes; `hiddenFilters` lists the
+// filter keys the profile protects. Hashes are memoized, since
+// the same email or device shows up in thousands of records.
+export function createRedactor(profile = redactionProfiles.none, options = {}) {
+  const { key = null } = options;
+  const fields = { ...(profile?.fields ?? profile) };
+  const warnings = [];
+  const hashed = Object.keys(fields).filter((field) => fields[field] === 'hash');
+  if (hashed.length && !key) {
+    warnings.push(`No redaction key is set, so ${hashed.join(', ')} will be dropped instead of hashed.`);
+    hashed.forEach((field) => {
+      fields[field] = 'drop';
+    });
+  }
+  const active = Object.entries(fields).filter(([, action]) => action !== 'keep');
+  const hiddenFilters = Object.keys(protectedFilterFields).filter((filterKey) =>
+    protectedFilterFields[filterKey].some((field) => (fields[field] ?? 'keep') !== 'keep')
+  );
+  const hashes = new Map();
+
+  function hashValue(value) {
+    const text = String(value);
+    if (!hashes.has(text)) {
+      hashes.set(text, toHex(hmacSha256(key, text)).slice(0, 16));
+    }
+    return hashes.get(text);
+  }
+
+  function applyAction(action, value) {
+    if (Array.isArray(value)) {
+      return value.map((entry) => applyAction(action, entry));
+    }
+    if (isEmpty(value)) {
+      return value;
+    }
+    return action === 'hash' ? hashValue(value) : truncateIp(value);
+  }
+
+  function redactLog(log) {
+    if (!active.length || !log || typeof log !== 'object') {
+      return log;
+    }
+    const copy = { ...log };
+    active.forEach(([field, action]) => {
+      if (!(field in copy)) {
+        return;
+      }
+      if (action === 'drop') {
+        delete copy[field];
+      } else {
+        copy[field] = applyAction(action, copy[field]);
+      }
+    });
+    return copy;
+  }
+
+  // Source tables follow their field: hashed IDs (without the configured display names,
+  // which would identify them again) or, for any other action, an empty table flagged
+  // `redacted`.
+  function redactSummary(summary) {
+    if (!active.length || !summary?.sources) {
+      return summary;
+    }
+    const sources = { ...summary.sources };
+    Object.entries(summarySourceFields).forEach(([dimension, field]) => {
+      const action = fields[field] ?? 'keep';
+      const section = sources[dimension];
+      if (!section || action === 'keep') {
+        return;
+      }
+      sources[dimension] =
+        action === 'hash'
+          ? {
+              ...section,
+              entries: section.entries.map((entry) => ({ ...entry, id: hashValue(entry.id), name: null })),
+              redacted: true,
+            }
+          : { ...section, entries: [], sourceCount: 0, redacted: true };
+    });
+    return { ...summary, sources };
+  }
+
+  return {
+    profile: profile?.name ?? null,
+    fields,
+    warnings,
+    hiddenFilters,
+    redactLog,
+    redactSummary,
+  };
+}
@@ -0,0 +1,181 @@
+// Retry, concurrency and budget rules for Cloudflare API requests (see gateway-client.js).
+
+// Rate limits, timeouts and server errors are worth another try; anything else is final.
+export const retryableStatuses = [408, 429, 500, 502, 503, 504];
+
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const DEFAULT_MAX_RETRY_DELAY_MS = 60 * 1000;
+
+function abortError() {
+  const error = new Error('Aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+// `Retry-After` holds either seconds or an HTTP date. Returns milliseconds, or null when the
+// header is missing or unreadable.
+export function parseRetryAfter(value, nowMs = Date.now()) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - nowMs);
+}
+
+// Exponential backoff with jitter: retry N waits between half and all of base * 2^N, capped at
+// `maxDelayMs`, so clients that failed together do not retry together.
+export function backoffDelay(attempt, options = {}) {
+  const {
+    baseMs = DEFAULT_RETRY_BASE_MS,
+    maxDelayMs = DEFAULT_MAX_RETRY_DELAY_MS,
+    random = Math.random,
+  } = options;
+  const ceiling = Math.min(maxDelayMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + (random() * ceiling) / 2);
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Runs at most `concurrency` tasks at once; the rest wait their turn in order. One limiter is
+// meant to be shared by every refresh in a process, so parallel refreshes, prefetches and
+// accounts never add up to a burst.
+export function createRequestLimiter(concurrency) {
+  const limit = Math.max(1, Math.floor(Number(concurrency)) || 1);
+  const waiting = [];
+  let active = 0;
+
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active -= 1;
+    }
+  }
+
+  async function run(task) {
+    if (active >= limit) {
+      // release() hands its slot straight to the next waiter.
+      await new Promise((resolve) => waiting.push(resolve));
+    } else {
+      active += 1;
+    }
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  return {
+    limit,
+    run,
+    get active() {
+      return active;
+    },
+    get queued() {
+      return waiting.length;
+    },
+  };
+}
+
+// Caps the requests (retries included) one refresh may send. A limit of 0 means unlimited.
+export function createRequestBudget(limit) {
+  const max = Number(limit) > 0 ? Math.floor(Number(limit)) : Number.POSITIVE_INFINITY;
+  let used = 0;
+  let exhausted = false;
+  return {
+    limit: max,
+    take() {
+      if (used >= max) {
+        exhausted = true;
+        return false;
+      }
+      used += 1;
+      return true;
+    },
+    get used() {
+      return used;
+    },
+    get exhausted() {
+      return exhausted;
+    },
+  };
+}
+
+// Sends a request through the limiter and budget, retrying network errors and
+// `retryStatuses` up to `maxRetries` times. Waits follow backoffDelay, but never less than a
+// response's Retry-After; a Retry-After longer than `maxDelayMs` ends the retries. Returns
+// the last response, successful or not, so callers keep their own status handling. Throws
+// when the network keeps failing, when aborted, and when the budget runs out (an error named
+// RequestBudgetError).
+export async function requestWithRetry(url, init, policy) {
+  const {
+    fetch,
+    limiter = null,
+    budget = null,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseMs = DEFAULT_RETRY_BASE_MS,
+    maxDelayMs = DEFAULT_MAX_RETRY_DELAY_MS,
+    retryStatuses = retryableStatuses,
+    onRetry = null,
+    wait = sleep,
+  } = policy;
+
+  for (let attempt = 0; ; attempt += 1) {
+    if (budget && !budget.take()) {
+      const error = new Error(`Request budget of ${budget.limit} requests exhausted.`);
+      error.name = 'RequestBudgetError';
+      throw error;
+    }
+
+    let response = null;
+    let failure = null;
+    try {
+      response = await (limiter ? limiter.run(() => fetch(url, init)) : fetch(url, init));
+    } catch (error) {
+      if (error.name === 'AbortError' || init?.signal?.aborted) {
+        throw error;
+      }
+      failure = error;
+    }
+
+    if (response && !retryStatuses.includes(response.status)) {
+      return response;
+    }
+    const retryAfterMs = response ? parseRetryAfter(response.headers?.get?.('retry-after')) : null;
+    if (attempt >= maxRetries || (retryAfterMs !== null && retryAfterMs > maxDelayMs)) {
+      if (failure) {
+        throw failure;
+      }
+      return response;
+    }
+
+    const delay = Math.max(retryAfterMs ?? 0, backoffDelay(attempt, { baseMs, maxDelayMs }));
+    onRetry?.({ attempt: attempt + 1, maxRetries, delay, status: response?.status ?? null, error: failure });
+    // Drain the failed response so its connection can be reused.
+    await response?.text?.().catch(() => '');
+    await wait(delay, init?.signal);
+  }
+}
@@ -0,0 +1,163 @@
+import { countBy, topEntries } from './aggregate.js';
+import { extractDomain } from './logs.js';
+import { buildCountSeries } from './timeseries.js';
+
+export const errorDomainLimit = 10;
+// DNS response codes are 0–23 (RFC 1035, 2136, 6895). Some records carry unrelated numbers
+// in `rcode`, so anything else is treated as unknown rather than as an error.
+const MAX_RCODE = 23;
+
+export const rcodeNames = {
+  0: 'NOERROR',
+  1: 'FORMERR',
+  2: 'SERVFAIL',
+  3: 'NXDOMAIN',
+  4: 'NOTIMP',
+  5: 'REFUSED',
+  6: 'YXDOMAIN',
+  7: 'YXRRSET',
+  8: 'NXRRSET',
+  9: 'NOTAUTH',
+  10: 'NOTZONE',
+  11: 'DSOTYPENI',
+  16: 'BADVERS',
+  17: 'BADKEY',
+  18: 'BADTIME',
+  19: 'BADMODE',
+  20: 'BADNAME',
+  21: 'BADALG',
+  22: 'BADTRUNC',
+  23: 'BADCOOKIE',
+};
+
+// Extended DNS Error codes (RFC 8914).
+export const edeNames = {
+  0: 'Other',
+  1: 'Unsupported DNSKEY Algorithm',
+  2: 'Unsupported DS Digest Type',
+  3: 'Stale Answer',
+  4: 'Forged Answer',
+  5: 'DNSSEC Indeterminate',
+  6: 'DNSSEC Bogus',
+  7: 'Signature Expired',
+  8: 'Signature Not Yet Valid',
+  9: 'DNSKEY Missing',
+  10: 'RRSIGs Missing',
+  11: 'No Zone Key Bit Set',
+  12: 'NSEC Missing',
+  13: 'Cached Error',
+  14: 'Not Ready',
+  15: 'Blocked',
+  16: 'Censored',
+  17: 'Filtered',
+  18: 'Prohibited',
+  19: 'Stale NXDOMAIN Answer',
+  20: 'Not Authoritative',
+  21: 'Not Supported',
+  22: 'No Reachable Authority',
+  23: 'Network Error',
+  24: 'Invalid Data',
+};
+
+export function logRcode(log) {
+  const value = Number(log?.rcode);
+  return Number.isInteger(value) && value >= 0 && value <= MAX_RCODE ? value : null;
+}
+
+// Series key for a record: the two error classes worth charting on their own, all other
+// errors together, or `unknown` when the record has no usable rcode.
+function rcodeClass(log) {
+  const rcode = logRcode(log);
+  if (rcode === null) {
+    return 'unknown';
+  }
+  if (rcode === 0) {
+    return 'noerror';
+  }
+  if (rcode === 2) {
+    return 'servfail';
+  }
+  if (rcode === 3) {
+    return 'nxdomain';
+  }
+  return 'otherError';
+}
+
+function edeLabel(entry) {
+  const code = Number(typeof entry === 'object' && entry !== null ? entry.code ?? entry.info_code : entry);
+  return Number.isInteger(code) ? edeNames[code] ?? `EDE ${code}` : null;
+}
+
+// Nearest-rank percentiles over positive values; zero means the resolver was not involved.
+function summarizeLatency(logs, field) {
+  const values = (logs || [])
+    .map((log) => Number(log?.[field]))
+    .filter((value) => Number.isFinite(value) && value > 0)
+    .sort((a, b) => a - b);
+  const percentile = (p) =>
+    values.length ? values[Math.min(values.length - 1, Math.ceil((p / 100) * values.length) - 1)] : null;
+  return {
+    samples: values.length,
+    p50: percentile(50),
+    p95: percentile(95),
+    p99: percentile(99),
+    max: values.length ? values[values.length - 1] : null,
+  };
+}
+
+// Response codes, error rates over time, resolver latency, cache hits and the domains behind
+// the errors. Rates are relative to records with a usable rcode.
+export function summarizeResolverHealth(logs, rangeDescriptor, options = {}) {
+  const { alignTo = null } = options;
+  const records = logs || [];
+  const classes = countBy(records, rcodeClass);
+  const answered = records.length - (classes.get('unknown') ?? 0);
+  const rate = (key) => (answered ? (classes.get(key) ?? 0) / answered : null);
+  const errorLogs = records.filter((log) => (logRcode(log) ?? 0) !== 0);
+
+  const cacheFlags = records.filter((log) => typeof log?.is_response_cached === 'boolean');
+  const cached = cacheFlags.filter((log) => log.is_response_cached).length;
+
+  return {
+    answered,
+    unknownRcode: classes.get('unknown') ?? 0,
+    rcodes: topEntries(
+      countBy(records, (log) => {
+        const rcode = logRcode(log);
+        return rcode === null ? null : rcodeNames[rcode] ?? `RCODE ${rcode}`;
+      }),
+      MAX_RCODE + 1
+    ),
+    rates: {
+      nxdomain: rate('nxdomain'),
+      servfail: rate('servfail'),
+      otherError: rate('otherError'),
+    },
+    timeSeries: buildCountSeries(records, rangeDescriptor, rcodeClass, {
+      keys: ['noerror', 'nxdomain', 'servfail', 'otherError', 'unknown'],
+      alignTo,
+    }),
+    latency: {
+      customResolver: summarizeLatency(records, 'custom_resolver_time_in_ms'),
+      internalDns: summarizeLatency(records, 'internal_dns_time_in_ms'),
+    },
+    cache: {
+      cached,
+      uncached: cacheFlags.length - cached,
+      hitRatio: cacheFlags.length ? cached / cacheFlags.length : null,
+    },
+    customResolverResponses: topEntries(countBy(records, (log) => log?.custom_resolver_response)),
+    extendedErrors: topEntries(
+      countBy(records, (log) => (Array.isArray(log?.ede_errors) ? log.ede_errors.map(edeLabel) : null))
+    ),
+    errorDomains: topEntries(countBy(errorLogs, extractDomain), errorDomainLimit).map((entry) => ({
+      ...entry,
+      rcodes: topEntries(
+        countBy(
+          errorLogs.filter((log) => extractDomain(log) === entry.name),
+          (log) => rcodeNames[logRcode(log)] ?? `RCODE ${logRcode(log)}`
+        )
+      ),
+    })),
+  };
+}
@@ -0,0 +1,70 @@
+import { isBlocked } from './logs.js';
+
+export const sourceEntryLimit = 25;
+
+// Where a request came from, keyed by the query parameter that filters on it (see
+// filters.js). Devices and users overlap: a managed device reports both, while an office
+// network location usually reports neither.
+const sourceDimensions = {
+  locations: { filterKey: 'location_uuid', select: (log) => log?.location_uuid },
+  devices: { filterKey: 'device_id', select: (log) => log?.device_id },
+  users: { filterKey: 'user', select: (log) => log?.email || log?.user_id },
+};
+
+// Name-map keys are compared without case or dashes, since the same UUID may be written
+// either way in the config file and the logs.
+function nameKey(id) {
+  return String(id).trim().toLowerCase().replace(/-/g, '');
+}
+
+// Normalizes `{ "locations": {...}, "devices": {...}, "users": {...} }` (see
+// lib/node/name-maps.js), where each section maps an ID (or email) to a display name.
+export function resolveSourceNames(raw = {}) {
+  const names = {};
+  Object.keys(sourceDimensions).forEach((dimension) => {
+    names[dimension] = {};
+    Object.entries(raw?.[dimension] || {}).forEach(([id, name]) => {
+      if (typeof name === 'string' && name.trim()) {
+        names[dimension][nameKey(id)] = name.trim();
+      }
+    });
+  });
+  return names;
+}
+
+// Top sources per dimension by blocked count, then total. Entry IDs keep the raw log value
+// so they can be passed straight back as a filter.
+export function summarizeSources(logs, names = {}) {
+  const result = {};
+  Object.entries(sourceDimensions).forEach(([dimension, { filterKey, select }]) => {
+    const counts = new Map();
+    let unattributed = 0;
+    (logs || []).forEach((log) => {
+      const value = select(log);
+      if (value === null || value === undefined || value === '') {
+        unattributed += 1;
+        return;
+      }
+      const id = String(value);
+      const entry = counts.get(id) ?? {
+        id,
+        name: names[dimension]?.[nameKey(id)] ?? null,
+        blocked: 0,
+        allowed: 0,
+      };
+      entry[isBlocked(log) ? 'blocked' : 'allowed'] += 1;
+      counts.set(id, entry);
+    });
+
+    result[dimension] = {
+      filterKey,
+      entries: Array.from(counts.values())
+        .map((entry) => ({ ...entry, total: entry.blocked + entry.allowed }))
+        .sort((a, b) => b.blocked - a.blocked || b.total - a.total)
+        .slice(0, sourceEntryLimit),
+      sourceCount: counts.size,
+      unattributed,
+    };
+  });
+  return result;
+}
@@ -0,0 +1,156 @@
+import { topEntries } from './aggregate.js';
+import { detectAnomalies } from './anomalies.js';
+import { logDimensions, summarizeBreakdown } from './breakdowns.js';
+import { gatewayCategoryNames, summarizeCategories } from './categories.js';
+import { applyLogFilter } from './filters.js';
+import { summarizeGeography } from './geography.js';
+import { defaultDomainGrouping, groupDomain } from './grouping.js';
+import { summarizePolicies } from './policies.js';
+import { summarizeSources } from './sources.js';
+import { resolveRange } from './ranges.js';
+import { summarizeResolverHealth } from './resolver-health.js';
+import {
+  dedupeLogs,
+  extractDomain,
+  extractLogTimestamp,
+  filterLogsByRange,
+  isBlocked,
+} from './logs.js';
+import { buildTimeSeries } from './timeseries.js';
+
+const SAMPLE_LIMIT = 50;
+
+// Compact form of a blocked request, as listed in `blockedSamples`.
+export function toBlockedSample(log) {
+  const timestamp = extractLogTimestamp(log);
+  return {
+    domain: extractDomain(log),
+    timestamp: timestamp ? new Date(timestamp).toISOString() : null,
+    decision: log?.decision ?? null,
+    action: log?.action_name ?? log?.action ?? null,
+  };
+}
+
+// `topBlockedNormalized` and its totals group destinations per `options.grouping` (see
+// grouping.js); the other tables always use full hostnames. `options.categoryNames`,
+// `options.policyNames` and `options.sourceNames` name the category, policy and
+// location/device/user breakdowns (see categories.js, policies.js and sources.js).
+// `options.anomalies` holds the detection settings used by buildSummary (see anomalies.js).
+export function summarizeLogs(logs, options = {}) {
+  const {
+    grouping = defaultDomainGrouping,
+    categoryNames = gatewayCategoryNames,
+    policyNames = {},
+    sourceNames = {},
+  } = options;
+  const domainCounts = new Map();
+  const normalizedCounts = new Map();
+  const overallCounts = new Map();
+  let blockedCount = 0;
+  let allowedCount = 0;
+
+  logs.forEach((log) => {
+    const domain = extractDomain(log);
+    overallCounts.set(domain, (overallCounts.get(domain) ?? 0) + 1);
+    if (isBlocked(log)) {
+      blockedCount += 1;
+      domainCounts.set(domain, (domainCounts.get(domain) ?? 0) + 1);
+      const normalized = groupDomain(domain, grouping);
+      normalizedCounts.set(normalized, (normalizedCounts.get(normalized) ?? 0) + 1);
+    } else {
+      allowedCount += 1;
+    }
+  });
+
+  const normalizedTotalCounts = new Map();
+  overallCounts.forEach((count, name) => {
+    const normalized = groupDomain(name, grouping);
+    normalizedTotalCounts.set(normalized, (normalizedTotalCounts.get(normalized) ?? 0) + count);
+  });
+
+  const topBlocked = topEntries(domainCounts);
+  const topBlockedNormalized = topEntries(normalizedCounts);
+  const topQueries = topEntries(overallCounts);
+  const topBlockedTotals = topBlocked.map(({ name, count }) => ({
+    name,
+    blockedCount: count,
+    totalCount: overallCounts.get(name) ?? 0,
+  }));
+  const topBlockedNormalizedTotals = topBlockedNormalized.map(({ name, count }) => ({
+    name,
+    blockedCount: count,
+    totalCount: normalizedTotalCounts.get(name) ?? 0,
+  }));
+
+  const blockedSamples = logs
+    .filter((log) => isBlocked(log))
+    .slice(0, SAMPLE_LIMIT)
+    .map(toBlockedSample);
+
+  return {
+    topBlocked,
+    topBlockedNormalized,
+    topQueries,
+    topBlockedTotals,
+    topBlockedNormalizedTotals,
+    blockedSamples,
+    grouping,
+    categories: summarizeCategories(logs, categoryNames),
+    policies: summarizePolicies(logs, policyNames),
+    sources: summarizeSources(logs, sourceNames),
+    geography: summarizeGeography(logs),
+    totals: {
+      blocked: blockedCount,
+      allowed: allowedCount,
+    },
+  };
+}
+
+export function buildSummary(logs, rangeDescriptor, options = {}) {
+  const timeSeries = buildTimeSeries(logs, rangeDescriptor);
+  return {
+    ...summarizeLogs(logs, options),
+    timeSeries,
+    queryTypes: summarizeBreakdown(logs, logDimensions.queryType, rangeDescriptor, { alignTo: timeSeries }),
+    protocols: summarizeBreakdown(logs, logDimensions.protocol, rangeDescriptor, { alignTo: timeSeries }),
+    resolverHealth: summarizeResolverHealth(logs, rangeDescriptor, { alignTo: timeSeries }),
+    anomalies: detectAnomalies(logs, {
+      ...options.anomalies,
+      grouping: options.grouping,
+      alignTo: timeSeries,
+    }),
+  };
+}
+
+// Turns the output of fetchGatewayLogs into the summary payload and the range-related meta
+// every entry point reports. Callers add their own cache/timing fields to `meta`. An
+// optional log filter (see filters.js) narrows the range-filtered logs before summarizing; the
+// remaining options are passed to summarizeLogs.
+export function summarizeGatewayLogs(rawLogs, rangeDescriptor, debug = {}, options = {}) {
+  const { filter = null, ...summaryOptions } = options;
+  const effectiveDescriptor =
+    debug.effectiveRangeKey && debug.effectiveRangeKey !== rangeDescriptor.key
+      ? resolveRange(debug.effectiveRangeKey)
+      : rangeDescriptor;
+
+  // Overlapping segments and retried windows can return the same record more than once.
+  const uniqueLogs = dedupeLogs(rawLogs);
+  const filtered = filterLogsByRange(uniqueLogs, effectiveDescriptor);
+  const logs = applyLogFilter(filtered.logs, filter);
+  const summary = buildSummary(logs, effectiveDescriptor, summaryOptions);
+  const meta = {
+    ...debug,
+    filteredLogCount: filtered.logs.length,
+    matchedLogCount: logs.length,
+    filter,
+    effectiveRangeKey: filtered.effectiveRange,
+    effectiveRangeLabel: filtered.effectiveRangeLabel,
+    coverageDescription: filtered.effectiveRangeLabel,
+    totalLogs: uniqueLogs.length,
+    // Added to the duplicates the fetch already dropped (see fetchGatewayLogs).
+    duplicatesDropped:
+      (debug.duplicatesDropped ?? 0) + (Array.isArray(rawLogs) ? rawLogs.length : 0) - uniqueLogs.length,
+  };
+
+  return { summary, meta, logs };
+}
@@ -0,0 +1,113 @@
+import { extractLogTimestamp, isBlocked } from './logs.js';
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+const DAY_IN_MS = 24 * HOUR_IN_MS;
+const WEEK_IN_MS = 7 * DAY_IN_MS;
+// 1970-01-01 was a Thursday; shifting by four days aligns weekly buckets to Monday 00:00 UTC.
+const WEEK_OFFSET_MS = 4 * DAY_IN_MS;
+const MAX_BUCKETS = 2000;
+
+const bucketUnits = {
+  hour: { unit: 'hour', sizeMs: HOUR_IN_MS, offsetMs: 0 },
+  day: { unit: 'day', sizeMs: DAY_IN_MS, offsetMs: 0 },
+  week: { unit: 'week', sizeMs: WEEK_IN_MS, offsetMs: WEEK_OFFSET_MS },
+};
+
+export function determineBucketUnit(rangeDescriptor) {
+  const days = rangeDescriptor?.days;
+  if (days === null || days === undefined) {
+    return rangeDescriptor?.key === 'latest' ? bucketUnits.hour : bucketUnits.week;
+  }
+  if (days <= 7) {
+    return bucketUnits.hour;
+  }
+  if (days <= 31) {
+    return bucketUnits.day;
+  }
+  return bucketUnits.week;
+}
+
+function bucketStart(timestamp, bucket) {
+  return Math.floor((timestamp - bucket.offsetMs) / bucket.sizeMs) * bucket.sizeMs + bucket.offsetMs;
+}
+
+// Buckets are dense between the first and last timestamped log so gaps render as zeros.
+// Logs without a usable timestamp are counted in `untimed` rather than dropped silently.
+// `classify(log)` returns the key (or keys) a log counts toward, or null to skip it; every
+// bucket starts with all `keys` at zero. `options.alignTo` takes another series (usually the
+// overall one) and reuses its unit and bucket span, so series for subsets of the same logs
+// line up. `options.shiftMs` moves every timestamp forward before bucketing, which lays an
+// earlier period over the current one.
+export function buildCountSeries(logs, rangeDescriptor, classify, options = {}) {
+  const { keys = [], alignTo = null, shiftMs = 0 } = options;
+  let bucket = determineBucketUnit(rangeDescriptor);
+  const counts = new Map();
+  let untimed = 0;
+  let earliest = null;
+  let latest = null;
+
+  const timed = [];
+  (logs || []).forEach((log) => {
+    const extracted = extractLogTimestamp(log);
+    if (extracted === null) {
+      untimed += 1;
+      return;
+    }
+    const timestamp = extracted + shiftMs;
+    timed.push({ timestamp, log });
+    earliest = earliest === null || timestamp < earliest ? timestamp : earliest;
+    latest = latest === null || timestamp > latest ? timestamp : latest;
+  });
+
+  if (alignTo?.buckets?.length && bucketUnits[alignTo.unit]) {
+    bucket = bucketUnits[alignTo.unit];
+    earliest = Date.parse(alignTo.buckets[0].start);
+    latest = Date.parse(alignTo.buckets[alignTo.buckets.length - 1].start);
+  } else if (earliest !== null) {
+    // Coarsen the unit if the data spans more buckets than a chart can usefully show.
+    const ordered = [bucketUnits.hour, bucketUnits.day, bucketUnits.week];
+    let index = ordered.indexOf(bucket);
+    while (index < ordered.length - 1 && (latest - earliest) / ordered[index].sizeMs > MAX_BUCKETS) {
+      index += 1;
+    }
+    bucket = ordered[index];
+  }
+
+  const emptyEntry = () => Object.fromEntries(keys.map((key) => [key, 0]));
+  timed.forEach(({ timestamp, log }) => {
+    const selected = classify(log);
+    const entryKeys = Array.isArray(selected) ? selected : [selected];
+    const start = bucketStart(timestamp, bucket);
+    const entry = counts.get(start) ?? emptyEntry();
+    entryKeys.forEach((key) => {
+      if (key !== null && key !== undefined) {
+        entry[key] = (entry[key] ?? 0) + 1;
+      }
+    });
+    counts.set(start, entry);
+  });
+
+  const buckets = [];
+  if (earliest !== null) {
+    const last = bucketStart(latest, bucket);
+    for (let start = bucketStart(earliest, bucket); start <= last; start += bucket.sizeMs) {
+      const entry = counts.get(start) ?? emptyEntry();
+      buckets.push({ start: new Date(start).toISOString(), ...entry });
+    }
+  }
+
+  return {
+    unit: bucket.unit,
+    bucketSeconds: bucket.sizeMs / 1000,
+    buckets,
+    untimed,
+  };
+}
+
+// Blocked vs allowed requests per bucket.
+export function buildTimeSeries(logs, rangeDescriptor, options = {}) {
+  return buildCountSeries(logs, rangeDescriptor, (log) => (isBlocked(log) ? 'blocked' : 'allowed'), {
+    ...options,
+    keys: ['blocked', 'allowed'],
+  });
+}
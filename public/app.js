@@ -1,10 +1,27 @@
 const statusMessage = document.getElementById('status-message');
+const dataWarning = document.getElementById('data-warning');
 const tableBody = document.querySelector('#blocked-table tbody');
 const refreshButton = document.getElementById('refresh-button');
 const rangeSelect = document.getElementById('range-select');
 const chartContext = document.getElementById('traffic-chart').getContext('2d');
+const timelineCanvas = document.getElementById('timeline-chart');
+const timelineCaption = document.getElementById('timeline-caption');
+const trafficCaption = document.getElementById('traffic-caption');
+const defaultTrafficCaption = trafficCaption?.textContent ?? '';
+const changeHeader = document.getElementById('change-header');
+
+const domainDetail = document.getElementById('domain-detail');
+const domainDetailTitle = document.getElementById('domain-detail-title');
+const domainDetailStatus = document.getElementById('domain-detail-status');
+const domainDetailTotals = document.getElementById('domain-detail-totals');
+const domainDetailClose = document.getElementById('domain-detail-close');
+const domainTimelineCanvas = document.getElementById('domain-timeline-chart');
+const domainEventsBody = document.querySelector('#domain-events-table tbody');
 
 let chartInstance = null;
+let timelineInstance = null;
+let domainTimelineInstance = null;
+let domainFetchController = null;
 let currentRange = rangeSelect?.value || '7d';
 let currentFetchController = null;
 let inFlightRange = null;
@@ -22,6 +39,66 @@ const rangeLabels = {
   latest: 'Latest 1000 records',
 };
 
+// Absolute window chosen in the date-range picker; null while a named range is active.
+let customRange = null;
+const customRangeForm = document.getElementById('custom-range-form');
+const customRangeFrom = document.getElementById('custom-range-from');
+const customRangeTo = document.getElementById('custom-range-to');
+const customRangeClear = document.getElementById('custom-range-clear');
+
+function activeRangeKey() {
+  return customRange ? 'custom' : rangeSelect?.value || currentRange;
+}
+
+function describeRange(rangeKey) {
+  if (rangeKey === 'custom' && customRange) {
+    return customRange.label;
+  }
+  return rangeLabels[rangeKey] || rangeKey;
+}
+
+function buildRangeParams(rangeKey) {
+  if (rangeKey === 'custom' && customRange) {
+    const params = new URLSearchParams({ from: customRange.from });
+    if (customRange.to) {
+      params.set('to', customRange.to);
+    }
+    return params;
+  }
+  return new URLSearchParams({ range: rangeKey });
+}
+
+if (customRangeForm) {
+  customRangeForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const from = customRangeFrom.value ? new Date(customRangeFrom.value) : null;
+    const to = customRangeTo.value ? new Date(customRangeTo.value) : null;
+    if (!from || Number.isNaN(from.getTime()) || (to && Number.isNaN(to.getTime()))) {
+      setStatus('Choose a valid start date for the custom range.', 'error');
+      return;
+    }
+    if (to && to <= from) {
+      setStatus('The custom range must end after it starts.', 'error');
+      return;
+    }
+    customRange = {
+      from: from.toISOString(),
+      to: to ? to.toISOString() : null,
+      label: `${from.toLocaleString()} – ${to ? to.toLocaleString() : 'now'}`,
+    };
+    loadSummary('custom', { triggeredByUser: true });
+  });
+}
+
+if (customRangeClear) {
+  customRangeClear.addEventListener('click', () => {
+    customRange = null;
+    customRangeFrom.value = '';
+    customRangeTo.value = '';
+    loadSummary(rangeSelect?.value || '7d', { triggeredByUser: true });
+  });
+}
+
 // viewMode: 'blocked' | 'allowed'
 let viewMode = 'blocked';
 const viewSelect = document.getElementById('view-select');
@@ -31,10 +108,161 @@ if (viewSelect) {
   viewSelect.addEventListener('change', () => {
     viewMode = viewSelect.value || 'blocked';
     if (countHeader) countHeader.textContent = viewMode === 'blocked' ? 'Blocked Count' : 'Request Count';
-    loadSummary(rangeSelect?.value || currentRange);
+    // Grouping only applies to the blocked table; the allowed view lists full hostnames.
+    if (groupSelect) groupSelect.disabled = viewMode !== 'blocked';
+    loadSummary(activeRangeKey());
+  });
+}
+
+// Grouping for the blocked table: 'registrable' | 'fqdn' | 'depth:<n>' (labels kept below the
+// public suffix). Sent to the API as `group`/`depth`.
+let domainGrouping = 'registrable';
+const groupSelect = document.getElementById('group-select');
+
+// Category ID that scopes every panel, or '' for all categories. Sent as `category`.
+let categoryFilter = '';
+const categorySelect = document.getElementById('category-select');
+const categoryCanvas = document.getElementById('category-chart');
+const categoryCaption = document.getElementById('category-caption');
+let categoryInstance = null;
+
+// Location, device or user that scopes every panel, as '<filter key>:<id>' (e.g.
+// 'location_uuid:abc'), or '' for everything.
+let scopeFilter = '';
+const scopeSelect = document.getElementById('scope-select');
+
+// When set, the summary also covers the window of the same length just before the current
+// one (`compare=previous`). Ranges without a fixed length cannot be compared.
+let compareMode = false;
+const compareToggle = document.getElementById('compare-toggle');
+
+// Cloudflare account to show, `all` for every account, or '' for the server's default. The
+// switcher only appears when more than one account is configured.
+let accountKey = '';
+let defaultAccount = null;
+const accountSelect = document.getElementById('account-select');
+const accountLabel = document.querySelector('label[for="account-select"]');
+
+// The static summary file only covers the default view.
+function isDefaultView() {
+  return domainGrouping === 'registrable' && !categoryFilter && !scopeFilter && !compareMode && !accountKey;
+}
+
+// Filters shared by the summary and the domain drill-down.
+function appendFilterParams(params) {
+  if (accountKey) {
+    params.set('account', accountKey);
+  }
+  if (categoryFilter) {
+    params.set('category', categoryFilter);
+  }
+  if (scopeFilter) {
+    const separator = scopeFilter.indexOf(':');
+    params.set(scopeFilter.slice(0, separator), scopeFilter.slice(separator + 1));
+  }
+  return params;
+}
+
+function appendViewParams(params) {
+  if (domainGrouping.startsWith('depth:')) {
+    params.set('group', 'depth');
+    params.set('depth', domainGrouping.slice('depth:'.length));
+  } else if (domainGrouping !== 'registrable') {
+    params.set('group', domainGrouping);
+  }
+  return appendFilterParams(params);
+}
+
+if (groupSelect) {
+  groupSelect.addEventListener('change', () => {
+    domainGrouping = groupSelect.value || 'registrable';
+    loadSummary(activeRangeKey());
+  });
+}
+
+if (categorySelect) {
+  categorySelect.addEventListener('change', () => {
+    categoryFilter = categorySelect.value || '';
+    loadSummary(activeRangeKey());
+  });
+}
+
+async function loadAccounts() {
+  if (!accountSelect) {
+    return;
+  }
+  try {
+    const response = await fetch('/api/accounts', { cache: 'no-store' });
+    const payload = response.ok ? await response.json() : null;
+    const accounts = payload?.accounts ?? [];
+    if (accounts.length < 2) {
+      return;
+    }
+    defaultAccount = payload.default;
+    accountSelect.innerHTML = '';
+    [...accounts, { id: 'all', name: 'All accounts' }].forEach(({ id, name }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      accountSelect.appendChild(option);
+    });
+    accountSelect.value = accountKey || defaultAccount;
+    accountSelect.hidden = false;
+    if (accountLabel) {
+      accountLabel.hidden = false;
+    }
+  } catch (error) {
+    console.warn('Unable to load the account list:', error);
+  }
+}
+
+// Locations, devices and users belong to one account, so switching clears the scope.
+if (accountSelect) {
+  accountSelect.addEventListener('change', () => {
+    accountKey = accountSelect.value === defaultAccount ? '' : accountSelect.value;
+    scopeFilter = '';
+    loadSummary(activeRangeKey());
   });
 }
 
+if (scopeSelect) {
+  scopeSelect.addEventListener('change', () => {
+    scopeFilter = scopeSelect.value || '';
+    loadSummary(activeRangeKey());
+  });
+}
+
+if (compareToggle) {
+  compareToggle.addEventListener('change', () => {
+    compareMode = compareToggle.checked;
+    loadSummary(activeRangeKey());
+  });
+}
+
+// Exports download from /api/export with the current range and view, so they need the local
+// server. The table export follows the view mode: grouped blocked destinations or top queries.
+const exportFormatSelect = document.getElementById('export-format');
+const exportTableButton = document.getElementById('export-table-button');
+const exportRawButton = document.getElementById('export-raw-button');
+
+function exportData(kind) {
+  const params = appendViewParams(buildRangeParams(activeRangeKey()));
+  params.set('format', exportFormatSelect?.value || 'csv');
+  params.set('kind', kind);
+  if (kind === 'summary') {
+    params.set('table', viewMode === 'blocked' ? 'blocked' : 'queries');
+  }
+  window.location.assign(`/api/export?${params.toString()}`);
+}
+
+if (exportTableButton) {
+  exportTableButton.addEventListener('click', () => exportData('summary'));
+}
+
+if (exportRawButton) {
+  exportRawButton.addEventListener('click', () => exportData('raw'));
+}
+
 // Advanced debugging panel (show/hide)
 const advancedToggle = document.getElementById('advanced-toggle');
 const advancedPanel = document.getElementById('advanced-panel');
@@ -53,12 +281,42 @@ if (rangeSelectDebug) {
   rangeSelectDebug.addEventListener('change', () => {
     // change the hidden rangeSelect value used by the loader
     if (rangeSelect) rangeSelect.value = rangeSelectDebug.value;
+    customRange = null;
     loadSummary(rangeSelectDebug.value, { triggeredByUser: true });
   });
 }
 
 if (refreshButtonDebug) {
-  refreshButtonDebug.addEventListener('click', () => loadSummary(rangeSelect?.value || currentRange, { forceRefresh: true, triggeredByUser: true }));
+  refreshButtonDebug.addEventListener('click', () => loadSummary(activeRangeKey(), { forceRefresh: true, triggeredByUser: true }));
+}
+
+// The signed-in role, from /api/session. Viewers cannot force refreshes, export raw logs or
+// scope by device or user, so those controls are hidden. Deployments without the local
+// server have no session.
+let isViewer = false;
+
+async function loadSession() {
+  try {
+    const response = await fetch('/api/session', { cache: 'no-store' });
+    const session = response.ok ? await response.json() : null;
+    if (session?.role === 'viewer') {
+      isViewer = true;
+      // The first summary may have rendered the scope options before the session arrived.
+      const adminOnlyLabels = sourceSections.filter(({ adminOnly }) => adminOnly).map(({ label }) => label);
+      scopeSelect?.querySelectorAll('optgroup').forEach((group) => {
+        if (adminOnlyLabels.includes(group.label)) {
+          group.remove();
+        }
+      });
+      [refreshButton, refreshButtonDebug, exportRawButton].forEach((button) => {
+        if (button) {
+          button.style.display = 'none';
+        }
+      });
+    }
+  } catch (error) {
+    console.warn('Unable to load the session:', error);
+  }
 }
 
 function setStatus(message, variant) {
@@ -69,13 +327,68 @@ function setStatus(message, variant) {
   }
 }
 
-function renderTable(rows) {
+// Windows the server could not fetch even after retrying (`meta.missingWindows`) leave holes
+// in every panel, so they are called out above the dashboard.
+function renderDataWarning(meta) {
+  if (!dataWarning) {
+    return;
+  }
+  const windows = Array.isArray(meta?.missingWindows) ? meta.missingWindows : [];
+  if (!windows.length && !meta?.budgetExhausted) {
+    dataWarning.hidden = true;
+    dataWarning.textContent = '';
+    return;
+  }
+  const describeWindow = ({ from, to, account }) =>
+    `${new Date(from * 1000).toLocaleString()} – ${new Date(to * 1000).toLocaleString()}${
+      account ? ` (${account})` : ''
+    }`;
+  const listed = windows.slice(0, 3).map(describeWindow).join('; ');
+  const more = windows.length > 3 ? ` and ${windows.length - 3} more` : '';
+  dataWarning.textContent = windows.length
+    ? `Data incomplete: Cloudflare logs for ${listed}${more} could not be fetched, so those periods are missing or undercounted. They are requested again on the next refresh.`
+    : 'Data incomplete: the request budget ran out before the whole range was fetched. The rest is requested again on the next refresh.';
+  dataWarning.hidden = false;
+}
+
+function formatRatioChange(ratio) {
+  const percent = Math.round((ratio ?? 0) * 100);
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+function formatChange(entry) {
+  if (!entry) {
+    return { text: '—', className: '' };
+  }
+  if (entry.status === 'new' || entry.status === 'gone') {
+    return { text: entry.status === 'new' ? 'New' : 'Gone', className: `delta--${entry.status}` };
+  }
+  return {
+    text: formatRatioChange(entry.changeRatio),
+    className: entry.status === 'same' ? '' : `delta--${entry.status}`,
+  };
+}
+
+function describeTotalChange(label, delta) {
+  if (!delta) {
+    return null;
+  }
+  const change = delta.previous ? formatRatioChange(delta.changeRatio) : 'new';
+  return `${label} ${change} (${delta.current.toLocaleString()} vs ${delta.previous.toLocaleString()})`;
+}
+
+// `changes` is the comparison section matching the table ({ entries, gone }), or null when
+// compare mode is off. Names that left the top list entirely follow as dimmed rows.
+function renderTable(rows, changes = null) {
   tableBody.innerHTML = '';
+  if (changeHeader) {
+    changeHeader.hidden = !changes;
+  }
 
   if (!rows.length) {
     const row = document.createElement('tr');
     const cell = document.createElement('td');
-    cell.colSpan = 2;
+    cell.colSpan = changes ? 3 : 2;
     cell.textContent = 'No blocked destinations in the current window.';
     row.appendChild(cell);
     tableBody.appendChild(row);
@@ -90,13 +403,58 @@ function renderTable(rows) {
     nameCell.textContent = name;
     countCell.textContent = count.toLocaleString();
 
+    row.classList.add('is-clickable');
+    row.tabIndex = 0;
+    row.title = `Show details for ${name}`;
+    row.addEventListener('click', () => loadDomainDetail(name));
+    row.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        loadDomainDetail(name);
+      }
+    });
+
     row.appendChild(nameCell);
     row.appendChild(countCell);
+    if (changes) {
+      const entry = changes.entries?.find((candidate) => candidate.name === name);
+      const { text, className } = formatChange(entry);
+      const changeCell = document.createElement('td');
+      changeCell.textContent = text;
+      if (className) {
+        changeCell.className = className;
+      }
+      if (entry) {
+        changeCell.title = `${entry.previous.toLocaleString()} in the previous period`;
+      }
+      row.appendChild(changeCell);
+    }
+    tableBody.appendChild(row);
+  });
+
+  (changes?.gone || []).forEach((entry) => {
+    const row = document.createElement('tr');
+    row.classList.add('is-unused');
+    [entry.name, '0', formatChange(entry).text].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    row.title = `${entry.previous.toLocaleString()} in the previous period`;
     tableBody.appendChild(row);
   });
 }
 
-function renderChart(totals) {
+function renderChart(totals, comparison = null) {
+  if (trafficCaption) {
+    trafficCaption.textContent = comparison?.totals
+      ? `${[
+          describeTotalChange('Blocked', comparison.totals.blocked),
+          describeTotalChange('allowed', comparison.totals.allowed),
+        ].join(', ')} compared with ${comparison.range?.label ?? 'the previous period'}.`
+      : defaultTrafficCaption;
+  }
+
   const chartConstructor = window.Chart;
   if (typeof chartConstructor !== 'function') {
     console.warn('Chart.js unavailable; skipping chart render.');
@@ -142,9 +500,942 @@ function renderChart(totals) {
   });
 }
 
+const bucketLabelFormats = {
+  hour: { month: 'short', day: 'numeric', hour: '2-digit' },
+  day: { month: 'short', day: 'numeric' },
+  week: { year: 'numeric', month: 'short', day: 'numeric' },
+};
+
+// `previousSeries` (compare mode) is aligned to the same buckets and drawn as dashed lines.
+function renderStackedTimeline(canvas, existingInstance, timeSeries, previousSeries = null) {
+  const chartConstructor = window.Chart;
+  if (typeof chartConstructor !== 'function' || !canvas) {
+    return existingInstance;
+  }
+
+  const buckets = Array.isArray(timeSeries?.buckets) ? timeSeries.buckets : [];
+  const unit = timeSeries?.unit || 'hour';
+  const format = bucketLabelFormats[unit] || bucketLabelFormats.hour;
+  const labels = buckets.map((bucket) => {
+    const label = new Date(bucket.start).toLocaleString([], format);
+    return unit === 'week' ? `Week of ${label}` : label;
+  });
+
+  const data = {
+    labels,
+    datasets: [
+      {
+        label: 'Blocked',
+        data: buckets.map((bucket) => bucket.blocked ?? 0),
+        backgroundColor: '#f87171',
+        stack: 'requests',
+      },
+      {
+        label: 'Allowed',
+        data: buckets.map((bucket) => bucket.allowed ?? 0),
+        backgroundColor: '#34d399',
+        stack: 'requests',
+      },
+    ],
+  };
+
+  const previousBuckets = new Map(
+    (Array.isArray(previousSeries?.buckets) ? previousSeries.buckets : []).map((bucket) => [bucket.start, bucket])
+  );
+  if (previousBuckets.size) {
+    const previousLine = (label, color, stack, select) => ({
+      type: 'line',
+      label,
+      data: buckets.map((bucket) => {
+        const previous = previousBuckets.get(bucket.start);
+        return previous ? select(previous) : null;
+      }),
+      borderColor: color,
+      backgroundColor: color,
+      borderDash: [6, 4],
+      borderWidth: 1.5,
+      pointRadius: 0,
+      stack,
+    });
+    data.datasets.push(
+      previousLine('Previous period blocked', '#b91c1c', 'previous-blocked', (bucket) => bucket.blocked ?? 0),
+      previousLine(
+        'Previous period total',
+        '#64748b',
+        'previous-total',
+        (bucket) => (bucket.blocked ?? 0) + (bucket.allowed ?? 0)
+      )
+    );
+  }
+
+  if (existingInstance) {
+    existingInstance.data = data;
+    existingInstance.update();
+    return existingInstance;
+  }
+
+  return new chartConstructor(canvas.getContext('2d'), {
+    type: 'bar',
+    data,
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { stacked: true, ticks: { maxTicksLimit: 12, autoSkip: true } },
+        y: { stacked: true, beginAtZero: true },
+      },
+      plugins: {
+        legend: {
+          position: 'bottom',
+        },
+      },
+    },
+  });
+}
+
+function renderTimeline(timeSeries, previousSeries = null) {
+  const buckets = Array.isArray(timeSeries?.buckets) ? timeSeries.buckets : [];
+  if (timelineCaption) {
+    timelineCaption.textContent = buckets.length
+      ? `Blocked versus allowed requests per ${timeSeries.unit || 'hour'}${
+          previousSeries ? '; dashed lines show the same point in the previous period' : ''
+        }.`
+      : 'No timestamped activity available for this window.';
+  }
+  timelineInstance = renderStackedTimeline(timelineCanvas, timelineInstance, timeSeries, previousSeries);
+}
+
+const CATEGORY_CHART_LIMIT = 12;
+
+// Horizontal stacked bars for the busiest categories. Options in the category filter are only
+// rebuilt while no category is selected, since a filtered payload lists just the co-occurring
+// categories.
+function renderCategories(categories) {
+  const entries = Array.isArray(categories?.entries) ? categories.entries : [];
+
+  if (categorySelect && !categoryFilter) {
+    categorySelect.innerHTML = '';
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'All categories';
+    categorySelect.appendChild(allOption);
+    entries.forEach(({ id, name, total }) => {
+      const option = document.createElement('option');
+      option.value = String(id);
+      option.textContent = `${name} (${total.toLocaleString()})`;
+      categorySelect.appendChild(option);
+    });
+    categorySelect.value = '';
+  }
+
+  if (categoryCaption) {
+    const uncategorized = (categories?.uncategorized?.blocked ?? 0) + (categories?.uncategorized?.allowed ?? 0);
+    categoryCaption.textContent = entries.length
+      ? `Blocked versus allowed requests for the ${Math.min(entries.length, CATEGORY_CHART_LIMIT)} busiest categories. A request counts toward each of its categories${
+          uncategorized ? `; ${uncategorized.toLocaleString()} had no category` : ''
+        }.`
+      : 'No categorized activity available for this window.';
+  }
+
+  const chartConstructor = window.Chart;
+  if (typeof chartConstructor !== 'function' || !categoryCanvas) {
+    return;
+  }
+
+  const shown = entries.slice(0, CATEGORY_CHART_LIMIT);
+  const data = {
+    labels: shown.map((entry) => entry.name),
+    datasets: [
+      {
+        label: 'Blocked',
+        data: shown.map((entry) => entry.blocked),
+        backgroundColor: '#f87171',
+        stack: 'requests',
+      },
+      {
+        label: 'Allowed',
+        data: shown.map((entry) => entry.allowed),
+        backgroundColor: '#34d399',
+        stack: 'requests',
+      },
+    ],
+  };
+
+  if (categoryInstance) {
+    categoryInstance.data = data;
+    categoryInstance.update();
+    return;
+  }
+
+  categoryInstance = new chartConstructor(categoryCanvas.getContext('2d'), {
+    type: 'bar',
+    data,
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { stacked: true, beginAtZero: true },
+        y: { stacked: true },
+      },
+      plugins: {
+        legend: {
+          position: 'bottom',
+        },
+      },
+    },
+  });
+}
+
+const sourceSections = [
+  { dimension: 'locations', listId: 'source-locations', label: 'Locations' },
+  { dimension: 'devices', listId: 'source-devices', label: 'Devices', adminOnly: true },
+  { dimension: 'users', listId: 'source-users', label: 'Users', adminOnly: true },
+];
+
+// Like the category filter, scope options are only rebuilt while nothing is scoped, so the
+// chosen source stays selectable.
+function renderSources(sources) {
+  if (scopeSelect && !scopeFilter) {
+    scopeSelect.innerHTML = '';
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'All locations and devices';
+    scopeSelect.appendChild(allOption);
+    sourceSections.forEach(({ dimension, label, adminOnly }) => {
+      const section = sources?.[dimension];
+      // Redacted IDs no longer match the logs, so they cannot be used as a filter, and
+      // viewers may not filter by device or user.
+      if (!section?.entries?.length || section.redacted || (adminOnly && isViewer)) {
+        return;
+      }
+      const group = document.createElement('optgroup');
+      group.label = label;
+      section.entries.forEach((entry) => {
+        const option = document.createElement('option');
+        option.value = `${section.filterKey}:${entry.id}`;
+        option.textContent = entry.name || entry.id;
+        group.appendChild(option);
+      });
+      scopeSelect.appendChild(group);
+    });
+    scopeSelect.value = '';
+  }
+
+  sourceSections.forEach(({ dimension, listId }) => {
+    const list = document.getElementById(listId);
+    if (!list) {
+      return;
+    }
+    list.innerHTML = '';
+    const entries = sources?.[dimension]?.entries ?? [];
+    if (!entries.length) {
+      const item = document.createElement('li');
+      item.textContent = sources?.[dimension]?.redacted ? 'Hidden for privacy' : 'None';
+      list.appendChild(item);
+      return;
+    }
+    entries.forEach((entry) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const value = document.createElement('span');
+      label.textContent = entry.name || entry.id;
+      label.title = entry.id;
+      value.textContent = `${entry.blocked.toLocaleString()} / ${entry.total.toLocaleString()}`;
+      item.appendChild(label);
+      item.appendChild(value);
+      list.appendChild(item);
+    });
+  });
+}
+
+// Small multiples: one compact stacked chart per query type and per protocol, all sharing
+// the overall time buckets so spikes line up across charts.
+const multiplesSelect = document.getElementById('multiples-select');
+const multiplesSections = [
+  { key: 'queryTypes', containerId: 'query-type-multiples' },
+  { key: 'protocols', containerId: 'protocol-multiples' },
+];
+let multiplesPayload = null;
+let multipleInstances = [];
+
+function renderMultiples(payload) {
+  if (payload !== undefined) {
+    multiplesPayload = payload;
+  }
+  multipleInstances.forEach((instance) => instance.destroy());
+  multipleInstances = [];
+
+  const chartConstructor = window.Chart;
+  const mode = multiplesSelect?.value || 'both';
+
+  multiplesSections.forEach(({ key, containerId }) => {
+    const container = document.getElementById(containerId);
+    if (!container) {
+      return;
+    }
+    container.innerHTML = '';
+    const breakdown = multiplesPayload?.[key];
+    const series = Array.isArray(breakdown?.series) ? breakdown.series : [];
+    if (!series.length) {
+      const empty = document.createElement('p');
+      empty.className = 'chart-caption';
+      empty.textContent = 'No data in the current window.';
+      container.appendChild(empty);
+      return;
+    }
+
+    series.forEach(({ name, timeSeries }) => {
+      const entry = (breakdown.entries || []).find((candidate) => candidate.name === name);
+      const figure = document.createElement('figure');
+      figure.className = 'multiple';
+      const caption = document.createElement('figcaption');
+      caption.textContent = entry
+        ? `${name} · ${entry.total.toLocaleString()} (${entry.blocked.toLocaleString()} blocked)`
+        : name;
+      const wrapper = document.createElement('div');
+      wrapper.className = 'multiple-chart';
+      const canvas = document.createElement('canvas');
+      canvas.setAttribute('role', 'img');
+      canvas.setAttribute('aria-label', `${name} requests over time`);
+      wrapper.appendChild(canvas);
+      figure.appendChild(caption);
+      figure.appendChild(wrapper);
+      container.appendChild(figure);
+
+      if (typeof chartConstructor !== 'function') {
+        return;
+      }
+      const buckets = Array.isArray(timeSeries?.buckets) ? timeSeries.buckets : [];
+      const datasets = [];
+      if (mode !== 'allowed') {
+        datasets.push({
+          label: 'Blocked',
+          data: buckets.map((bucket) => bucket.blocked ?? 0),
+          backgroundColor: '#f87171',
+          stack: 'requests',
+        });
+      }
+      if (mode !== 'blocked') {
+        datasets.push({
+          label: 'Allowed',
+          data: buckets.map((bucket) => bucket.allowed ?? 0),
+          backgroundColor: '#34d399',
+          stack: 'requests',
+        });
+      }
+      multipleInstances.push(
+        new chartConstructor(canvas.getContext('2d'), {
+          type: 'bar',
+          data: {
+            labels: buckets.map((bucket) => new Date(bucket.start).toLocaleString()),
+            datasets,
+          },
+          options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            scales: {
+              x: { stacked: true, display: false },
+              y: { stacked: true, beginAtZero: true, ticks: { maxTicksLimit: 3 } },
+            },
+            plugins: {
+              legend: { display: false },
+            },
+          },
+        })
+      );
+    });
+  });
+}
+
+if (multiplesSelect) {
+  multiplesSelect.addEventListener('change', () => renderMultiples());
+}
+
+const resolverStats = document.getElementById('resolver-stats');
+const resolverCanvas = document.getElementById('resolver-chart');
+const resolverCaption = document.getElementById('resolver-caption');
+let resolverInstance = null;
+
+function formatPercent(ratio) {
+  return typeof ratio === 'number' ? `${(ratio * 100).toFixed(1)}%` : 'n/a';
+}
+
+function formatLatency(latency) {
+  return latency?.samples
+    ? `${latency.p50} / ${latency.p95} / ${latency.p99} ms (${latency.samples.toLocaleString()} samples)`
+    : 'n/a';
+}
+
+function renderResolverHealth(health) {
+  if (resolverStats) {
+    resolverStats.textContent = health
+      ? [
+          `Cache hits ${formatPercent(health.cache?.hitRatio)}`,
+          `NXDOMAIN ${formatPercent(health.rates?.nxdomain)}`,
+          `SERVFAIL ${formatPercent(health.rates?.servfail)}`,
+          `Other errors ${formatPercent(health.rates?.otherError)}`,
+          `Custom resolver p50/p95/p99 ${formatLatency(health.latency?.customResolver)}`,
+          `Internal DNS p50/p95/p99 ${formatLatency(health.latency?.internalDns)}`,
+        ].join(' · ')
+      : '';
+  }
+
+  renderCountList('resolver-rcodes', health?.rcodes);
+  renderCountList(
+    'resolver-error-domains',
+    (health?.errorDomains || []).map((entry) => ({
+      name: `${entry.name} (${(entry.rcodes || []).map((rcode) => rcode.name).join(', ')})`,
+      count: entry.count,
+    }))
+  );
+  renderCountList('resolver-ede', health?.extendedErrors);
+  renderCountList('resolver-responses', health?.customResolverResponses);
+
+  const buckets = Array.isArray(health?.timeSeries?.buckets) ? health.timeSeries.buckets : [];
+  if (resolverCaption) {
+    const unknown = health?.unknownRcode ?? 0;
+    resolverCaption.textContent = buckets.length
+      ? `Share of answered queries per ${health.timeSeries.unit || 'hour'} that returned NXDOMAIN, SERVFAIL or another error code${
+          unknown ? `; ${unknown.toLocaleString()} records had no usable response code` : ''
+        }.`
+      : 'No timestamped resolver activity available for this window.';
+  }
+
+  const chartConstructor = window.Chart;
+  if (typeof chartConstructor !== 'function' || !resolverCanvas) {
+    return;
+  }
+  const format = bucketLabelFormats[health?.timeSeries?.unit] || bucketLabelFormats.hour;
+  const share = (bucket, key) => {
+    const answered = bucket.noerror + bucket.nxdomain + bucket.servfail + bucket.otherError;
+    return answered ? (bucket[key] / answered) * 100 : null;
+  };
+  const data = {
+    labels: buckets.map((bucket) => new Date(bucket.start).toLocaleString([], format)),
+    datasets: [
+      { label: 'NXDOMAIN %', data: buckets.map((bucket) => share(bucket, 'nxdomain')), borderColor: '#f59e0b', backgroundColor: '#f59e0b' },
+      { label: 'SERVFAIL %', data: buckets.map((bucket) => share(bucket, 'servfail')), borderColor: '#dc2626', backgroundColor: '#dc2626' },
+      { label: 'Other errors %', data: buckets.map((bucket) => share(bucket, 'otherError')), borderColor: '#6366f1', backgroundColor: '#6366f1' },
+    ],
+  };
+
+  if (resolverInstance) {
+    resolverInstance.data = data;
+    resolverInstance.update();
+    return;
+  }
+
+  resolverInstance = new chartConstructor(resolverCanvas.getContext('2d'), {
+    type: 'line',
+    data,
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      spanGaps: true,
+      elements: { point: { radius: 0 } },
+      scales: {
+        x: { ticks: { maxTicksLimit: 12, autoSkip: true } },
+        y: { beginAtZero: true, ticks: { callback: (value) => `${value}%` } },
+      },
+      plugins: {
+        legend: {
+          position: 'bottom',
+        },
+      },
+    },
+  });
+}
+
+// Geography: a choropleth drawn on a canvas from the bundled world TopoJSON (ids are ISO
+// alpha-2 codes, see public/vendor/README.md) plus a table of the top countries.
+const geoSelect = document.getElementById('geo-select');
+const geoCanvas = document.getElementById('geo-map');
+const geoCaption = document.getElementById('geo-caption');
+const geoTableBody = document.querySelector('#geo-table tbody');
+const GEO_TABLE_LIMIT = 15;
+const GEO_MAP_TOP = 85;
+const GEO_MAP_BOTTOM = -60;
+const regionNames = typeof Intl.DisplayNames === 'function'
+  ? new Intl.DisplayNames(['en'], { type: 'region' })
+  : null;
+let geography = null;
+let worldFeaturesPromise = null;
+let geoShapes = [];
+
+function countryName(code) {
+  try {
+    return regionNames?.of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+// Minimal TopoJSON decoding: undo the quantized delta encoding of the arcs, then stitch each
+// polygon ring from its arcs (a negative index means the arc is reversed).
+function decodeTopology(topology) {
+  const [scaleX, scaleY] = topology.transform.scale;
+  const [translateX, translateY] = topology.transform.translate;
+  const arcs = topology.arcs.map((arc) => {
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return [x * scaleX + translateX, y * scaleY + translateY];
+    });
+  });
+  const ring = (indexes) =>
+    indexes.flatMap((index) => (index < 0 ? arcs[~index].slice().reverse() : arcs[index]));
+
+  return topology.objects.countries.geometries
+    .filter((geometry) => geometry.id !== 'AQ')
+    .map((geometry) => {
+      const polygons = geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs || [];
+      return {
+        code: geometry.id,
+        rings: polygons.flatMap((polygon) => polygon.map(ring)),
+      };
+    });
+}
+
+function loadWorldFeatures() {
+  if (!worldFeaturesPromise) {
+    worldFeaturesPromise = fetch('./vendor/countries-110m.json')
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Map data request failed with status ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(decodeTopology)
+      .catch((error) => {
+        worldFeaturesPromise = null;
+        throw error;
+      });
+  }
+  return worldFeaturesPromise;
+}
+
+function geoFillColor(value, max) {
+  if (!value || !max) {
+    return '#e5e7eb';
+  }
+  // Square-root scale so a single dominant country does not wash out the rest.
+  const t = Math.sqrt(value / max);
+  const from = [254, 226, 226];
+  const to = [185, 28, 28];
+  const channel = (index) => Math.round(from[index] + (to[index] - from[index]) * t);
+  return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+}
+
+function currentGeoView() {
+  const [dimension, metric] = (geoSelect?.value || 'destinations:blocked').split(':');
+  return { dimension, metric };
+}
+
+async function drawGeoMap(entries, metric) {
+  if (!geoCanvas) {
+    return;
+  }
+  let features;
+  try {
+    features = await loadWorldFeatures();
+  } catch (error) {
+    console.warn('Unable to load map data:', error);
+    return;
+  }
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = geoCanvas.clientWidth;
+  const height = geoCanvas.clientHeight;
+  geoCanvas.width = Math.round(width * ratio);
+  geoCanvas.height = Math.round(height * ratio);
+  const context = geoCanvas.getContext('2d');
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+
+  const values = new Map(entries.map((entry) => [entry.code, entry[metric] ?? 0]));
+  const max = Math.max(0, ...values.values());
+  // Equirectangular projection, cropped to the inhabited latitudes.
+  const project = ([lon, lat]) => [
+    ((lon + 180) / 360) * width,
+    ((GEO_MAP_TOP - lat) / (GEO_MAP_TOP - GEO_MAP_BOTTOM)) * height,
+  ];
+
+  geoShapes = features.map((feature) => {
+    const path = new Path2D();
+    feature.rings.forEach((ring) => {
+      ring.forEach((point, index) => {
+        const [x, y] = project(point);
+        if (index === 0) {
+          path.moveTo(x, y);
+        } else {
+          path.lineTo(x, y);
+        }
+      });
+      path.closePath();
+    });
+    const value = values.get(feature.code) ?? 0;
+    context.fillStyle = geoFillColor(value, max);
+    context.fill(path, 'evenodd');
+    context.strokeStyle = '#ffffff';
+    context.lineWidth = 0.5;
+    context.stroke(path);
+    return { code: feature.code, path, value };
+  });
+}
+
+function describeGeoView() {
+  const { dimension, metric } = currentGeoView();
+  const what = metric === 'blocked' ? 'Blocked requests' : 'Requests';
+  if (dimension === 'sources') {
+    const unknown = geography?.unknownSource ?? 0;
+    return `${what} by source country${unknown ? `; ${unknown.toLocaleString()} had no source country` : ''}.`;
+  }
+  const unresolved = geography?.unresolved ?? 0;
+  return `${what} by the countries their answers resolved to (a request can count toward several)${
+    unresolved ? `; ${unresolved.toLocaleString()} did not resolve` : ''
+  }.`;
+}
+
+function renderGeography(nextGeography) {
+  if (nextGeography !== undefined) {
+    geography = nextGeography;
+  }
+  const { dimension, metric } = currentGeoView();
+  const entries = (Array.isArray(geography?.[dimension]) ? geography[dimension] : [])
+    .slice()
+    .sort((a, b) => (b[metric] ?? 0) - (a[metric] ?? 0));
+
+  if (geoCaption) {
+    geoCaption.textContent = describeGeoView();
+  }
+
+  if (geoTableBody) {
+    geoTableBody.innerHTML = '';
+    const rows = entries.filter((entry) => (entry[metric] ?? 0) > 0).slice(0, GEO_TABLE_LIMIT);
+    if (!rows.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 3;
+      cell.textContent = 'No country information in the current window.';
+      row.appendChild(cell);
+      geoTableBody.appendChild(row);
+    }
+    rows.forEach((entry) => {
+      const row = document.createElement('tr');
+      [
+        `${countryName(entry.code)} (${entry.code})`,
+        entry.blocked.toLocaleString(),
+        entry.allowed.toLocaleString(),
+      ].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      geoTableBody.appendChild(row);
+    });
+  }
+
+  drawGeoMap(entries, metric);
+}
+
+if (geoSelect) {
+  geoSelect.addEventListener('change', () => renderGeography());
+}
+
+if (geoCanvas) {
+  geoCanvas.addEventListener('mousemove', (event) => {
+    const context = geoCanvas.getContext('2d');
+    const bounds = geoCanvas.getBoundingClientRect();
+    const ratio = window.devicePixelRatio || 1;
+    const x = (event.clientX - bounds.left) * ratio;
+    const y = (event.clientY - bounds.top) * ratio;
+    context.save();
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    const hit = geoShapes.find((shape) => context.isPointInPath(shape.path, x, y, 'evenodd'));
+    context.restore();
+    if (geoCaption) {
+      geoCaption.textContent = hit
+        ? `${countryName(hit.code)}: ${hit.value.toLocaleString()}`
+        : describeGeoView();
+    }
+  });
+  geoCanvas.addEventListener('mouseleave', () => {
+    if (geoCaption) {
+      geoCaption.textContent = describeGeoView();
+    }
+  });
+  window.addEventListener('resize', () => {
+    if (geography) {
+      renderGeography();
+    }
+  });
+}
+
+const policiesBody = document.querySelector('#policies-table tbody');
+const policiesCaption = document.getElementById('policies-caption');
+
+function formatSeen(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+// Named policies with no hits come from the local policy-name map and are shown dimmed so
+// unused rules stand out.
+function renderPolicies(policies) {
+  if (!policiesBody) {
+    return;
+  }
+  const entries = Array.isArray(policies?.entries) ? policies.entries : [];
+  const unmatched = policies?.unmatched?.hits ?? 0;
+  const unused = entries.filter((entry) => entry.hits === 0).length;
+
+  if (policiesCaption) {
+    const parts = [`${entries.length - unused} polic${entries.length - unused === 1 ? 'y' : 'ies'} matched requests`];
+    if (unused) {
+      parts.push(`${unused} named polic${unused === 1 ? 'y' : 'ies'} had no hits`);
+    }
+    if (unmatched) {
+      parts.push(`${unmatched.toLocaleString()} requests matched no policy`);
+    }
+    policiesCaption.textContent = `${parts.join('; ')}.`;
+  }
+
+  policiesBody.innerHTML = '';
+  if (!entries.length) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.textContent = 'No policy matches in the current window.';
+    row.appendChild(cell);
+    policiesBody.appendChild(row);
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const row = document.createElement('tr');
+    if (entry.hits === 0) {
+      row.classList.add('is-unused');
+    }
+    const nameCell = document.createElement('td');
+    nameCell.textContent = entry.name || entry.id;
+    nameCell.title = entry.id;
+    row.appendChild(nameCell);
+    [
+      entry.hits.toLocaleString(),
+      entry.blocked.toLocaleString(),
+      (entry.topDomains || []).map(({ name, count }) => `${name} (${count.toLocaleString()})`).join(', ') || '—',
+      formatSeen(entry.firstSeen),
+      formatSeen(entry.lastSeen),
+    ].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    policiesBody.appendChild(row);
+  });
+}
+
+const anomalySurgesBody = document.querySelector('#anomaly-surges-table tbody');
+const anomalyNewBody = document.querySelector('#anomaly-new-table tbody');
+const anomaliesCaption = document.getElementById('anomalies-caption');
+
+function renderAnomalyRows(body, entries, emptyText, columnCount, toCells) {
+  if (!body) {
+    return;
+  }
+  body.innerHTML = '';
+  if (!entries.length) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = columnCount;
+    cell.textContent = emptyText;
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+  entries.forEach((entry) => {
+    const row = document.createElement('tr');
+    toCells(entry).forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    row.classList.add('is-clickable');
+    row.tabIndex = 0;
+    row.title = `Show details for ${entry.name}`;
+    row.addEventListener('click', () => loadDomainDetail(entry.name));
+    row.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        loadDomainDetail(entry.name);
+      }
+    });
+    body.appendChild(row);
+  });
+}
+
+// Surges list each destination's highest-scoring bucket; rows open the destination drill-down.
+function renderAnomalies(anomalies) {
+  const surges = Array.isArray(anomalies?.surges) ? anomalies.surges : [];
+  const newlyBlocked = Array.isArray(anomalies?.newlyBlocked) ? anomalies.newlyBlocked : [];
+
+  if (anomaliesCaption) {
+    anomaliesCaption.textContent = anomalies
+      ? `${anomalies.evaluatedBuckets.toLocaleString()} ${anomalies.unit || 'hour'} buckets checked with ${
+          anomalies.method === 'zscore' ? 'z-scores' : 'median and MAD'
+        } over the previous ${anomalies.window}; a surge needs at least ${anomalies.minCount} blocks and a score of ${
+          anomalies.threshold
+        }. Newly blocked destinations had no blocks in at least the first ${anomalies.minHistory} buckets.`
+      : 'No anomaly data available for this window.';
+  }
+
+  renderAnomalyRows(anomalySurgesBody, surges, 'No surges in the current window.', 5, (entry) => [
+    entry.newlyBlocked ? `${entry.name} (new)` : entry.name,
+    formatSeen(entry.bucket),
+    entry.blocked.toLocaleString(),
+    entry.baseline.toLocaleString(),
+    entry.score.toLocaleString(),
+  ]);
+  renderAnomalyRows(anomalyNewBody, newlyBlocked, 'No newly blocked destinations in the current window.', 3, (entry) => [
+    entry.name,
+    formatSeen(entry.firstBlocked),
+    entry.blocked.toLocaleString(),
+  ]);
+}
+
+function renderCountList(elementId, entries) {
+  const list = document.getElementById(elementId);
+  if (!list) {
+    return;
+  }
+  list.innerHTML = '';
+  const items = Array.isArray(entries) && entries.length ? entries : [{ name: 'None', count: null }];
+  items.forEach(({ name, count }) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = name;
+    item.appendChild(label);
+    if (typeof count === 'number') {
+      const value = document.createElement('span');
+      value.textContent = count.toLocaleString();
+      item.appendChild(value);
+    }
+    list.appendChild(item);
+  });
+}
+
+function renderDomainEvents(events) {
+  if (!domainEventsBody) {
+    return;
+  }
+  domainEventsBody.innerHTML = '';
+  if (!Array.isArray(events) || !events.length) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 5;
+    cell.textContent = 'No events in the current window.';
+    row.appendChild(cell);
+    domainEventsBody.appendChild(row);
+    return;
+  }
+  events.forEach((event) => {
+    const row = document.createElement('tr');
+    const seconds = Number(event.datetime);
+    const time = Number.isFinite(seconds)
+      ? new Date(seconds * 1000)
+      : new Date(event.datetime ?? event.timestamp);
+    [
+      Number.isNaN(time.getTime()) ? '—' : time.toLocaleString(),
+      event.query ?? event.hostname ?? event.domain ?? '—',
+      event.query_type ?? '—',
+      event.decision ?? '—',
+      event.src_country_code ?? event.src_country ?? '—',
+    ].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    domainEventsBody.appendChild(row);
+  });
+}
+
+function closeDomainDetail() {
+  if (domainFetchController) {
+    domainFetchController.abort();
+    domainFetchController = null;
+  }
+  if (domainDetail) {
+    domainDetail.hidden = true;
+  }
+}
+
+async function loadDomainDetail(name) {
+  if (!domainDetail) {
+    return;
+  }
+  if (domainFetchController) {
+    domainFetchController.abort();
+  }
+  const controller = new AbortController();
+  domainFetchController = controller;
+
+  domainDetail.hidden = false;
+  domainDetailTitle.textContent = name;
+  domainDetailStatus.textContent = 'Loading destination details…';
+  domainDetailTotals.textContent = '';
+  domainDetail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+  try {
+    const params = appendFilterParams(buildRangeParams(currentRange));
+    params.set('name', name);
+    const response = await fetch(`/api/domain?${params.toString()}`, { signal: controller.signal });
+    const payload = await response.json();
+    if (!response.ok || payload?.error) {
+      throw new Error(payload?.error || `Request failed with status ${response.status}`);
+    }
+
+    const blocked = payload.totals?.blocked ?? 0;
+    const allowed = payload.totals?.allowed ?? 0;
+    domainDetailStatus.textContent = payload.rangeLabel || describeRange(currentRange);
+    domainDetailTotals.textContent = `${blocked.toLocaleString()} blocked · ${allowed.toLocaleString()} allowed`;
+    domainTimelineInstance = renderStackedTimeline(
+      domainTimelineCanvas,
+      domainTimelineInstance,
+      payload.timeSeries
+    );
+    renderCountList('domain-detail-hostnames', payload.hostnames);
+    renderCountList('domain-detail-query-types', payload.queryTypes);
+    renderCountList('domain-detail-decisions', payload.decisions);
+    renderCountList('domain-detail-policies', payload.policies);
+    renderCountList('domain-detail-countries', payload.sourceCountries);
+    renderDomainEvents(payload.recentEvents);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return;
+    }
+    console.error('Failed to load destination details:', error);
+    domainDetailStatus.textContent = `Destination details are unavailable right now (${error.message}).`;
+    ['hostnames', 'query-types', 'decisions', 'policies', 'countries'].forEach((key) =>
+      renderCountList(`domain-detail-${key}`, [])
+    );
+    renderDomainEvents([]);
+  } finally {
+    if (domainFetchController === controller) {
+      domainFetchController = null;
+    }
+  }
+}
+
+if (domainDetailClose) {
+  domainDetailClose.addEventListener('click', closeDomainDetail);
+}
+
 function prepareLoadingState(rangeKey, options = {}) {
   const { forced } = options;
-  const loadingLabel = rangeLabels[rangeKey] || rangeKey;
+  const loadingLabel = describeRange(rangeKey);
 
   setStatus(
     forced
@@ -170,10 +1461,155 @@ function finalizeLoadingState(controller) {
   }
 }
 
+// Live updates: an EventSource on /api/stream for the current range and view. Deployments
+// without the local server have no stream endpoint, so the connection fails once and stays
+// closed. Compare mode is not streamed, since updates carry no comparison.
+const liveCaption = document.getElementById('live-caption');
+const liveEvents = document.getElementById('live-events');
+const LIVE_EVENT_LIMIT = 20;
+let liveStream = null;
+let liveStreamUrl = null;
+
+function setLiveCaption(message) {
+  if (liveCaption) {
+    liveCaption.textContent = message;
+  }
+}
+
+function renderLiveEvents(events) {
+  if (!liveEvents) {
+    return;
+  }
+  // Oldest first, so the newest request ends up on top.
+  (events || []).slice().sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp))).forEach(({ domain, timestamp, decision }) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = decision ? `${domain} (${decision})` : domain;
+    const time = document.createElement('span');
+    time.textContent = timestamp ? new Date(timestamp).toLocaleTimeString() : '—';
+    item.appendChild(label);
+    item.appendChild(time);
+    liveEvents.prepend(item);
+  });
+  while (liveEvents.children.length > LIVE_EVENT_LIMIT) {
+    liveEvents.lastElementChild.remove();
+  }
+}
+
+function connectLiveStream(rangeKey) {
+  const url = compareMode ? null : `/api/stream?${appendViewParams(buildRangeParams(rangeKey)).toString()}`;
+  if (url && url === liveStreamUrl && liveStream && liveStream.readyState !== EventSource.CLOSED) {
+    return;
+  }
+  if (liveStream) {
+    liveStream.close();
+    liveStream = null;
+  }
+  liveStreamUrl = url;
+  if (!url || typeof window.EventSource !== 'function') {
+    setLiveCaption(compareMode ? 'Live updates are paused while comparing periods.' : 'Live updates are not supported by this browser.');
+    return;
+  }
+
+  if (liveEvents) {
+    liveEvents.innerHTML = '';
+  }
+  const stream = new EventSource(url);
+  liveStream = stream;
+  stream.addEventListener('open', () => {
+    setLiveCaption('Connected. Newly fetched blocked requests appear here, and every panel updates in place.');
+  });
+  stream.addEventListener('summary', (event) => {
+    // A load started by the user is in flight and will render its own result.
+    if (currentFetchController) {
+      return;
+    }
+    try {
+      renderSummary(JSON.parse(event.data));
+      setStatus(`Live update at ${new Date().toLocaleTimeString()}.`, 'success');
+    } catch (error) {
+      console.warn('Ignoring malformed live update:', error);
+    }
+  });
+  stream.addEventListener('blocked', (event) => {
+    try {
+      const { count, events } = JSON.parse(event.data);
+      renderLiveEvents(events);
+      setLiveCaption(`${count.toLocaleString()} new blocked request${count === 1 ? '' : 's'} at ${new Date().toLocaleTimeString()}.`);
+    } catch (error) {
+      console.warn('Ignoring malformed live event:', error);
+    }
+  });
+  stream.addEventListener('error', () => {
+    setLiveCaption(
+      stream.readyState === EventSource.CLOSED
+        ? 'Live updates are unavailable; they need the local server.'
+        : 'Live updates disconnected; reconnecting…'
+    );
+  });
+}
+
+// Renders a summary payload into the table and every panel. Used for API responses and for
+// live updates from /api/stream.
+function renderSummary(payload) {
+  // Choose rows based on view mode
+  let tableRows = [];
+  if (viewMode === 'blocked') {
+    // Prefer a normalized/aggregated topBlocked (added by CI script). Fall back to legacy topBlocked.
+    tableRows = payload.topBlockedNormalized ?? payload.topBlocked ?? [];
+
+    // If the aggregated list is tiny (1 or 0 entries), try blockedSamples; if still tiny, fall back to topQueries
+    if ((!Array.isArray(tableRows) || tableRows.length <= 1) && Array.isArray(payload.blockedSamples) && payload.blockedSamples.length) {
+    const counts = {};
+    payload.blockedSamples.forEach((s) => {
+      const d = s.domain || 'unknown';
+      counts[d] = (counts[d] || 0) + 1;
+    });
+    const derived = Object.entries(counts).map(([name, count]) => ({ name, count }));
+    derived.sort((a, b) => b.count - a.count);
+
+    // Merge aggregated tableRows (if any) with derived samples, summing counts for same names
+    const mergedMap = new Map();
+    (Array.isArray(tableRows) ? tableRows : []).forEach((r) => mergedMap.set(r.name, (mergedMap.get(r.name) || 0) + (r.count || 0)));
+    derived.forEach((r) => mergedMap.set(r.name, (mergedMap.get(r.name) || 0) + (r.count || 0)));
+
+    const merged = Array.from(mergedMap.entries()).map(([name, count]) => ({ name, count }));
+    merged.sort((a, b) => b.count - a.count);
+    tableRows = merged.slice(0, 10);
+  }
+
+    // If we still have very few rows, fall back to topQueries (most frequent overall destinaton)
+    if ((!Array.isArray(tableRows) || tableRows.length <= 1) && Array.isArray(payload.topQueries) && payload.topQueries.length) {
+      tableRows = payload.topQueries.slice(0, 10);
+    }
+  } else {
+    // allowed view: show topQueries (non-deduped counts)
+    tableRows = Array.isArray(payload.topQueries) ? payload.topQueries.slice(0, 10) : [];
+  }
+
+  renderDataWarning(payload.meta);
+  const comparison = payload.comparison ?? null;
+  renderTable(tableRows, comparison ? comparison[viewMode === 'blocked' ? 'blocked' : 'queries'] : null);
+  try {
+    // In blocked view, show blocked/allowed chart; in allowed view, show overall trend if available
+    renderChart(payload.totals ?? {}, comparison);
+    renderTimeline(payload.timeSeries, comparison?.timeSeries);
+    renderCategories(payload.categories);
+    renderPolicies(payload.policies);
+    renderSources(payload.sources);
+    renderGeography(payload.geography);
+    renderMultiples(payload);
+    renderResolverHealth(payload.resolverHealth);
+    renderAnomalies(payload.anomalies);
+  } catch (chartError) {
+    console.warn('Unable to render chart:', chartError);
+  }
+}
+
 async function loadSummary(requestedRange, options = {}) {
   const { forceRefresh = false, triggeredByUser = false } = options;
   const rangeToUse = requestedRange || rangeSelect?.value || currentRange || '7d';
-  const loadingLabel = rangeLabels[rangeToUse] || rangeToUse;
+  const loadingLabel = describeRange(rangeToUse);
   const sameRangeInFlight = inFlightRange === rangeToUse && currentFetchController;
 
   if (sameRangeInFlight && !forceRefresh) {
@@ -198,7 +1634,8 @@ async function loadSummary(requestedRange, options = {}) {
   try {
     // Prefer a pre-generated static summary file (keeps function invocations to zero when available)
     let payload = null;
-    if (!forceRefresh) {
+    // The static file is built for the default view, so other groupings and filters go to the API.
+    if (!forceRefresh && rangeToUse !== 'custom' && isDefaultView()) {
       try {
         const staticResp = await fetch('./activity-summary.json', { cache: 'no-store' });
         if (staticResp.ok) {
@@ -213,7 +1650,10 @@ async function loadSummary(requestedRange, options = {}) {
     }
 
     if (!payload) {
-      const params = new URLSearchParams({ range: rangeToUse });
+      const params = appendViewParams(buildRangeParams(rangeToUse));
+      if (compareMode && rangeToUse !== 'lifetime') {
+        params.set('compare', 'previous');
+      }
       if (forceRefresh) {
         params.set('force', '1');
       }
@@ -227,53 +1667,12 @@ async function loadSummary(requestedRange, options = {}) {
       }
     }
 
-    // Choose rows based on view mode
-    let tableRows = [];
-    if (viewMode === 'blocked') {
-      // Prefer a normalized/aggregated topBlocked (added by CI script). Fall back to legacy topBlocked.
-      tableRows = payload.topBlockedNormalized ?? payload.topBlocked ?? [];
-
-      // If the aggregated list is tiny (1 or 0 entries), try blockedSamples; if still tiny, fall back to topQueries
-      if ((!Array.isArray(tableRows) || tableRows.length <= 1) && Array.isArray(payload.blockedSamples) && payload.blockedSamples.length) {
-      const counts = {};
-      payload.blockedSamples.forEach((s) => {
-        const d = s.domain || 'unknown';
-        counts[d] = (counts[d] || 0) + 1;
-      });
-      const derived = Object.entries(counts).map(([name, count]) => ({ name, count }));
-      derived.sort((a, b) => b.count - a.count);
-
-      // Merge aggregated tableRows (if any) with derived samples, summing counts for same names
-      const mergedMap = new Map();
-      (Array.isArray(tableRows) ? tableRows : []).forEach((r) => mergedMap.set(r.name, (mergedMap.get(r.name) || 0) + (r.count || 0)));
-      derived.forEach((r) => mergedMap.set(r.name, (mergedMap.get(r.name) || 0) + (r.count || 0)));
-
-      const merged = Array.from(mergedMap.entries()).map(([name, count]) => ({ name, count }));
-      merged.sort((a, b) => b.count - a.count);
-      tableRows = merged.slice(0, 10);
-    }
-
-      // If we still have very few rows, fall back to topQueries (most frequent overall destinaton)
-      if ((!Array.isArray(tableRows) || tableRows.length <= 1) && Array.isArray(payload.topQueries) && payload.topQueries.length) {
-        tableRows = payload.topQueries.slice(0, 10);
-      }
-    } else {
-      // allowed view: show topQueries (non-deduped counts)
-      tableRows = Array.isArray(payload.topQueries) ? payload.topQueries.slice(0, 10) : [];
-    }
-
-    renderTable(tableRows);
-    try {
-      // In blocked view, show blocked/allowed chart; in allowed view, show overall trend if available
-      renderChart(payload.totals ?? {});
-    } catch (chartError) {
-      console.warn('Unable to render chart:', chartError);
-    }
+    renderSummary(payload);
 
   const meta = payload?.meta || {};
     if (Object.keys(meta).length) {
       console.groupCollapsed('Cloudflare fetch details');
-      console.log('Range requested:', rangeToUse, rangeLabels[rangeToUse] || '');
+      console.log('Range requested:', rangeToUse, describeRange(rangeToUse));
       console.log('Meta summary:', meta);
       if (Array.isArray(meta.messages) && meta.messages.length) {
         meta.messages.forEach((message, index) => {
@@ -293,10 +1692,13 @@ async function loadSummary(requestedRange, options = {}) {
       } at ${new Date().toLocaleTimeString()}.`,
       'success'
     );
+    connectLiveStream(rangeToUse);
 
     if (rangeSelect) {
       rangeSelect.disabled = false;
-      rangeSelect.value = payload?.requestedRange || rangeToUse;
+      if (rangeToUse !== 'custom') {
+        rangeSelect.value = payload?.requestedRange || rangeToUse;
+      }
     }
   } catch (error) {
     if (error.name === 'AbortError') {
@@ -324,6 +1726,14 @@ async function loadSummary(requestedRange, options = {}) {
         }
         try {
           renderChart(staticPayload.totals ?? {});
+          renderTimeline(staticPayload.timeSeries);
+          renderCategories(staticPayload.categories);
+          renderPolicies(staticPayload.policies);
+          renderSources(staticPayload.sources);
+          renderGeography(staticPayload.geography);
+          renderMultiples(staticPayload);
+          renderResolverHealth(staticPayload.resolverHealth);
+          renderAnomalies(staticPayload.anomalies);
         } catch (chartError) {
           console.warn('Unable to render fallback chart:', chartError);
         }
@@ -338,13 +1748,23 @@ async function loadSummary(requestedRange, options = {}) {
     renderTable([]);
     try {
       renderChart({ blocked: 0, allowed: 0 });
+      renderTimeline(null);
+      renderCategories(null);
+      renderPolicies(null);
+      renderSources(null);
+      renderGeography(null);
+      renderMultiples(null);
+      renderResolverHealth(null);
+      renderAnomalies(null);
     } catch (chartError) {
       console.warn('Unable to render fallback chart:', chartError);
     }
     const failureMessage = error?.message ? ` (${error.message})` : '';
     setStatus(`Unable to load data right now${failureMessage}. Showing fallback results.`, 'error');
     if (rangeSelect) {
-      rangeSelect.value = currentRange;
+      if (currentRange !== 'custom') {
+        rangeSelect.value = currentRange;
+      }
     }
   } finally {
     finalizeLoadingState(controller);
@@ -355,11 +1775,18 @@ async function loadSummary(requestedRange, options = {}) {
 }
 
 refreshButton.addEventListener('click', () =>
-  loadSummary(rangeSelect?.value || currentRange, { forceRefresh: true, triggeredByUser: true })
+  loadSummary(activeRangeKey(), { forceRefresh: true, triggeredByUser: true })
 );
 
 if (rangeSelect) {
-  rangeSelect.addEventListener('change', () => loadSummary(rangeSelect.value, { triggeredByUser: true }));
+  rangeSelect.addEventListener('change', () => {
+    customRange = null;
+    loadSummary(rangeSelect.value, { triggeredByUser: true });
+  });
 }
 
-document.addEventListener('DOMContentLoaded', () => loadSummary(currentRange));
+document.addEventListener('DOMContentLoaded', () => {
+  loadSession();
+  loadAccounts();
+  loadSummary(currentRange);
+});
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/*
+  hash-password.js — print a password hash for config/users.json
+  Reads the password from the first argument, or from stdin when none is given (so it stays
+  out of the shell history), and prints the scrypt hash server.js expects:
+
+    { "alice": { "password": "<hash>", "role": "admin" } }
+*/
+
+import { hashPassword } from '../lib/node/auth.js';
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+}
+
+(async function main() {
+  try {
+    const password = process.argv[2] ?? (await readStdin());
+    if (!password) {
+      console.error('Usage: node scripts/hash-password.js <password>  (or pipe the password on stdin)');
+      process.exit(1);
+    }
+    console.log(await hashPassword(password));
+  } catch (err) {
+    console.error('Error hashing password:', err.message || err);
+    process.exit(2);
+  }
+})();
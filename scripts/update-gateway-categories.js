@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/*
+  update-gateway-categories.js — write config/category-names.json
+  Lists the Gateway content and security categories (including subcategories) available to the
+  account and writes them as an ID-to-name map. server.js and scripts/fetch-summary.js merge
+  that file over the partial table built into lib/categories.js.
+
+  Requires env: CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN
+  Optional env: BBSTATS_CATEGORY_NAMES (output path, default config/category-names.json)
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import { resolveCredentials, resolveNameMapFiles } from '../lib/index.js';
+
+const { accountId, apiToken } = resolveCredentials(process.env);
+
+if (!accountId || !apiToken) {
+  console.error('Missing CLOUDFLARE_ACCOUNT_ID or CLOUDFLARE_API_TOKEN');
+  process.exit(1);
+}
+
+function collectNames(categories, names = {}) {
+  (categories || []).forEach((category) => {
+    if (Number.isInteger(category?.id) && category.name) names[category.id] = category.name;
+    collectNames(category?.subcategories, names);
+  });
+  return names;
+}
+
+(async function main() {
+  try {
+    const output = resolveNameMapFiles(process.env, { categories: 'config/category-names.json' }).categories;
+    const response = await fetch(`https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/categories`, {
+      headers: { Authorization: `Bearer ${apiToken}`, 'Content-Type': 'application/json' },
+    });
+    const payload = await response.json().catch(() => null);
+    if (!response.ok || !payload?.success) {
+      const reason = payload?.errors?.map((e) => e.message).join('; ') || `status ${response.status}`;
+      throw new Error(`Category request failed: ${reason}`);
+    }
+    const names = collectNames(payload.result);
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    await fs.writeFile(output, `${JSON.stringify(names, null, 2)}\n`);
+    console.log(`Wrote ${output} (${Object.keys(names).length} categories).`);
+  } catch (err) {
+    console.error('Error updating category names:', err.message || err);
+    process.exit(2);
+  }
+})();
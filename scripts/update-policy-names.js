@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/*
+  update-policy-names.js — write config/policy-names.json
+  Lists the account's Gateway rules and writes them as a policy-UUID-to-name map, so the
+  Policies panel shows rule names and lists rules that never matched. Disabled rules are
+  included and marked as such.
+
+  Requires env: CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN
+  Optional env: BBSTATS_POLICY_NAMES (output path, default config/policy-names.json)
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import { resolveCredentials, resolveNameMapFiles } from '../lib/index.js';
+
+const { accountId, apiToken } = resolveCredentials(process.env);
+
+if (!accountId || !apiToken) {
+  console.error('Missing CLOUDFLARE_ACCOUNT_ID or CLOUDFLARE_API_TOKEN');
+  process.exit(1);
+}
+
+function collectNames(rules) {
+  const names = {};
+  (rules || []).forEach((rule) => {
+    if (rule?.id && rule.name) names[rule.id] = rule.enabled === false ? `${rule.name} (disabled)` : rule.name;
+  });
+  return names;
+}
+
+(async function main() {
+  try {
+    const output = resolveNameMapFiles(process.env, { policies: 'config/policy-names.json' }).policies;
+    const response = await fetch(`https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/rules`, {
+      headers: { Authorization: `Bearer ${apiToken}`, 'Content-Type': 'application/json' },
+    });
+    const payload = await response.json().catch(() => null);
+    if (!response.ok || !payload?.success) {
+      const reason = payload?.errors?.map((e) => e.message).join('; ') || `status ${response.status}`;
+      throw new Error(`Rule request failed: ${reason}`);
+    }
+    const names = collectNames(payload.result);
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    await fs.writeFile(output, `${JSON.stringify(names, null, 2)}\n`);
+    console.log(`Wrote ${output} (${Object.keys(names).length} policies).`);
+  } catch (err) {
+    console.error('Error updating policy names:', err.message || err);
+    process.exit(2);
+  }
+})();
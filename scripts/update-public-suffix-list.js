@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/*
+  update-public-suffix-list.js — regenerate lib/public-suffix-list.js
+  Reads the Public Suffix List (ICANN and private sections) and writes it as an embedded module,
+  so domain grouping works offline in Node and Workers alike. Rules are stored in their ASCII
+  (punycode) form because Gateway logs report hostnames that way.
+
+  Usage: node scripts/update-public-suffix-list.js [path/to/public_suffix_list.dat]
+  Without a path the list is downloaded from https://publicsuffix.org/list/public_suffix_list.dat.
+*/
+
+import fs from 'fs/promises';
+import { domainToASCII } from 'url';
+import fetch from 'node-fetch';
+
+const LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUTPUT = 'lib/public-suffix-list.js';
+
+async function loadList(source) {
+  if (source) return fs.readFile(source, 'utf8');
+  const response = await fetch(LIST_URL);
+  if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+  return response.text();
+}
+
+function toAsciiRule(rule) {
+  const prefix = rule.startsWith('!') ? '!' : rule.startsWith('*.') ? '*.' : '';
+  const ascii = domainToASCII(rule.slice(prefix.length));
+  return ascii ? `${prefix}${ascii}` : null;
+}
+
+(async function main() {
+  try {
+    const source = process.argv[2] || null;
+    const text = await loadList(source);
+    const rules = new Set();
+    text.split('\n').forEach((line) => {
+      const rule = line.trim().split(/\s/)[0];
+      if (!rule || rule.startsWith('//')) return;
+      const ascii = toAsciiRule(rule.toLowerCase());
+      if (ascii) rules.add(ascii);
+    });
+    if (rules.size < 1000) throw new Error(`Only ${rules.size} rules found; refusing to write a truncated list.`);
+    const generatedAt = new Date().toISOString().slice(0, 10);
+    const output = [
+      '// Generated by scripts/update-public-suffix-list.js — do not edit by hand.',
+      `// Public Suffix List snapshot (${rules.size} rules, generated ${generatedAt}) from`,
+      `// ${source ? 'a local copy of ' : ''}${LIST_URL}`,
+      '// The list is subject to the Mozilla Public License, v. 2.0 (https://mozilla.org/MPL/2.0/).',
+      '',
+      'export const publicSuffixRules = `',
+      ...rules,
+      '`;',
+      '',
+    ].join('\n');
+    await fs.writeFile(OUTPUT, output);
+    console.log(`Wrote ${OUTPUT} (${rules.size} rules).`);
+  } catch (err) {
+    console.error('Error updating public suffix list:', err.message || err);
+    process.exit(2);
+  }
+})();
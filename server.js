@@ -1,522 +1,312 @@
 import express from 'express';
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { once } from 'events';
+import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import {
+  applyLogFilter,
+  buildPreviousRange,
+  buildSummary,
+  comparePeriods,
+  createCustomRange,
+  createRedactor,
+  createRequestLimiter,
+  dedupeLogs,
+  extractLogTimestamp,
+  defaultDomainGrouping,
+  defaultRangeKey,
+  deliverAlerts,
+  describeAccount,
+  describeAnomalyOptions,
+  detectAnomalies,
+  evaluateAlertRules,
+  exportChunks,
+  exportFormats,
+  fetchGatewayLogs,
+  fetchGatewayLogsWithStore,
+  forgetAlerts,
+  isAdmin,
+  isBlocked,
+  isCustomRange,
+  isDefaultDomainGrouping,
+  logIdentity,
+  normalizeAlertRules,
+  normalizeDomainQuery,
+  parseAccountSelection,
+  parseAnomalyOptions,
+  parseComparison,
+  parseDomainGrouping,
+  parseExportRequest,
+  parseLogFilter,
+  rangeOptions,
+  rangeOrder,
+  resolveAccounts,
+  resolveAccountsFile,
+  resolveAlertOptions,
+  resolveAnomalyOptions,
+  resolveAuthOptions,
+  resolveFetchOptions,
+  resolveCategoryNames,
+  resolveLogStoreOptions,
+  resolveNameMapFiles,
+  resolvePolicyNames,
+  resolveRange,
+  resolveRangeRequest,
+  resolveRedactionOptions,
+  resolveSourceNames,
+  resolveStreamOptions,
+  selectAlertsToSend,
+  selectExportRows,
+  summarizeDomain,
+  summarizeGatewayLogs,
+  summaryExportTables,
+  toBlockedSample,
+} from './lib/index.js';
+import { createAuthenticator } from './lib/node/auth.js';
+import { createFileLogStore } from './lib/node/file-log-store.js';
+import { loadNameMap } from './lib/node/name-maps.js';
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-const sanitize = (value) =>
-  typeof value === 'string' ? value.trim() : undefined;
-
-const isPlaceholder = (value) =>
-  typeof value === 'string' &&
-  /^YOUR_[A-Z0-9_]+$/.test(value.trim());
-
-const accountIdCandidates = [
-  process.env.CLOUDFLARE_ACCOUNT_ID,
-  process.env.CF_ACCOUNT_ID,
-  process.env.CF_ACCOUNT,
-];
-const accountId = sanitize(
-  accountIdCandidates.find((candidate) => {
-    const trimmed = sanitize(candidate);
-    return trimmed && !isPlaceholder(trimmed);
-  })
-);
-const apiTokenCandidates = [
-  process.env.CLOUDFLARE_API_TOKEN,
-  process.env.CF_TOKEN,
-  process.env.CF_API_TOKEN,
-];
-const apiToken = sanitize(
-  apiTokenCandidates.find((candidate) => {
-    const trimmed = sanitize(candidate);
-    return trimmed && !isPlaceholder(trimmed);
-  })
-);
+// Every refresh, prefetch and stream poll shares one limiter, so together they never send more
+// than BBSTATS_MAX_CONCURRENT_REQUESTS requests at once.
+const fetchOptions = resolveFetchOptions(process.env);
+fetchOptions.limiter = createRequestLimiter(fetchOptions.maxConcurrentRequests);
 
-const rangeOptions = {
-  '7d': { key: '7d', label: 'Last 7 days', days: 7 },
-  '30d': { key: '30d', label: 'Last 30 days', days: 30 },
-  '365d': { key: '365d', label: 'Last 365 days', days: 365 },
-  latest: { key: 'latest', label: 'Latest 1000 records', days: null },
-  lifetime: { key: 'lifetime', label: 'All available data', days: null },
+const cloudflareLogger = {
+  info: (message) => console.info(`[Cloudflare] ${message}`),
+  warn: (message) => console.warn(`[Cloudflare] ${message}`),
 };
 
-const defaultRangeKey = '7d';
-const rangeOrder = ['7d', '30d', '365d', 'lifetime'];
 const CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const MAX_CUSTOM_RANGE_ENTRIES = 20;
+const DEFAULT_ALERT_COOLDOWN_MINUTES = 60;
+const ALERT_WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_EVENT_LIMIT = 50;
+// Cloudflare may still be ingesting the newest logs, so each poll re-reads this much overlap.
+const STREAM_POLL_OVERLAP_SECONDS = 10 * 60;
 
 const rangeCache = new Map();
+// Open /api/stream connections: { res, identity, selection, range, filter, grouping, anomalyOptions }.
+const streamClients = new Set();
+const streamOptions = resolveStreamOptions(process.env);
+let streamTimers = null;
+let streamPollInFlight = false;
 let backgroundPrefetch = {
   controller: null,
   promise: null,
 };
 
-function resolveRange(rangeKey) {
-  const normalized = typeof rangeKey === 'string' ? rangeKey.toLowerCase() : '';
-  return rangeOptions[normalized] ?? rangeOptions[defaultRangeKey];
-}
-
-function determineSegmentSeconds(rangeDescriptor) {
-  const days = rangeDescriptor.days;
-  if (days === null) {
-    return null;
-  }
-  if (days <= 1) {
-    return 6 * 60 * 60;
-  }
-  if (days <= 3) {
-    return 12 * 60 * 60;
-  }
-  if (days <= 7) {
-    return 24 * 60 * 60;
-  }
-  if (days <= 30) {
-    return 3 * 24 * 60 * 60;
-  }
-  if (days <= 90) {
-    return 7 * 24 * 60 * 60;
-  }
-  return 14 * 24 * 60 * 60;
-}
-
-function buildSegments(rangeDescriptor, nowSeconds) {
-  const segments = [];
-
-  if (rangeDescriptor.days === null) {
-    const segmentSeconds = 30 * 24 * 60 * 60; // 30-day slices for lifetime views
-    let segmentEnd = nowSeconds;
-    const maxSegments = 360; // roughly 30 years
-
-    while (segments.length < maxSegments) {
-      const segmentStart = Math.max(0, segmentEnd - segmentSeconds);
-      segments.push({ from: segmentStart, to: segmentEnd });
-      if (segmentStart === 0) {
-        break;
-      }
-      segmentEnd = segmentStart;
-    }
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
-    return segments;
-  }
+const logStoreOptions = resolveLogStoreOptions(process.env, {
+  directory: path.join(__dirname, 'data'),
+});
 
-  const earliestSeconds = Math.max(0, nowSeconds - rangeDescriptor.days * 24 * 60 * 60);
-  const segmentSeconds = determineSegmentSeconds(rangeDescriptor);
-  let segmentEnd = nowSeconds;
+const accountsFile = resolveAccountsFile(process.env, {
+  file: path.join(__dirname, 'config', 'accounts.json'),
+});
+const accountConfig = resolveAccounts(loadNameMap(accountsFile, 'accounts'), process.env);
+accountConfig.errors.forEach((message) => console.warn(`[Accounts] Skipping ${message}`));
+// Accounts from the config file keep their logs in a subdirectory of the store each.
+const accounts = accountConfig.accounts.map((account) => ({
+  ...account,
+  store: logStoreOptions.enabled
+    ? createFileLogStore(
+        path.resolve(
+          accountConfig.fromConfig ? path.join(logStoreOptions.directory, account.id) : logStoreOptions.directory
+        )
+      )
+    : null,
+}));
+const MISSING_ACCOUNTS_ERROR =
+  'Missing CLOUDFLARE_ACCOUNT_ID or CLOUDFLARE_API_TOKEN (or a usable entry in config/accounts.json).';
+
+const nameMapFiles = resolveNameMapFiles(process.env, {
+  categories: path.join(__dirname, 'config', 'category-names.json'),
+  policies: path.join(__dirname, 'config', 'policy-names.json'),
+  sources: path.join(__dirname, 'config', 'source-names.json'),
+});
+const summaryOptions = {
+  categoryNames: resolveCategoryNames(loadNameMap(nameMapFiles.categories, 'category names')),
+  policyNames: resolvePolicyNames(loadNameMap(nameMapFiles.policies, 'policy names')),
+  sourceNames: resolveSourceNames(loadNameMap(nameMapFiles.sources, 'source names')),
+  anomalies: resolveAnomalyOptions(process.env),
+};
 
-  while (segmentEnd > earliestSeconds) {
-    const segmentStart = Math.max(earliestSeconds, segmentEnd - segmentSeconds);
-    segments.push({ from: segmentStart, to: segmentEnd });
-    if (segmentStart === earliestSeconds) {
-      break;
-    }
-    segmentEnd = segmentStart;
-  }
+const alertOptions = resolveAlertOptions(process.env, {
+  rulesFile: path.join(__dirname, 'config', 'alert-rules.json'),
+});
+const alertConfig = loadNameMap(alertOptions.rulesFile, 'alert rules');
+const { rules: alertRules, errors: alertRuleErrors } = normalizeAlertRules(alertConfig.rules);
+alertRuleErrors.forEach((message) => console.warn(`[Alerts] Skipping rule ${message}`));
+const alertWebhookUrl =
+  alertOptions.webhookUrl || (typeof alertConfig.webhook === 'string' ? alertConfig.webhook.trim() : '') || null;
+const alertCooldownMs =
+  (alertOptions.cooldownMinutes || Number(alertConfig.cooldownMinutes) || DEFAULT_ALERT_COOLDOWN_MINUTES) * 60 * 1000;
+// Alert key -> when it was last sent, for the cooldown.
+const alertHistory = new Map();
+if (alertRules.length && !alertWebhookUrl) {
+  console.warn('[Alerts] Alert rules are configured without a webhook; alerts will only be logged.');
+}
 
-  return segments;
+const authOptions = resolveAuthOptions(process.env, {
+  usersFile: path.join(__dirname, 'config', 'users.json'),
+  jwksFile: path.join(__dirname, 'config', 'jwks.json'),
+});
+const authenticator = createAuthenticator({
+  ...authOptions,
+  users: loadNameMap(authOptions.usersFile, 'users'),
+  jwks: loadNameMap(authOptions.jwksFile, 'JWKS'),
+});
+authenticator.errors.forEach((message) => console.warn(`[Auth] Skipping ${message}`));
+if (!authenticator.enabled) {
+  console.warn('[Auth] No users or JWKS keys configured; the dashboard and API are open to anyone who can reach them.');
 }
 
-async function fetchSegmentLogs(segment, headers, baseUrl, signal, depth = 0) {
-  const params = new URLSearchParams({ limit: '1000' });
-  if (typeof segment.from === 'number') {
-    params.set('from', String(segment.from));
+// Once users or JWKS keys are configured, every route (static files included) needs an
+// identity. Without them everyone is treated as an admin, as before authentication existed.
+app.use(async (req, res, next) => {
+  if (!authenticator.enabled) {
+    req.identity = { name: null, role: 'admin', method: null };
+    return next();
   }
-  if (typeof segment.to === 'number') {
-    params.set('to', String(segment.to));
+  try {
+    req.identity = await authenticator.authenticate(req.headers);
+  } catch (error) {
+    console.warn(`[Auth] Rejected ${req.method} ${req.path}: ${error.message}`);
+    req.identity = null;
   }
-
-  const url = `${baseUrl}?${params.toString()}`;
-  const response = await fetch(url, { headers, signal });
-
-  const spanSeconds =
-    typeof segment.from === 'number' && typeof segment.to === 'number'
-      ? Math.max(0, segment.to - segment.from)
-      : null;
-
-  if (!response.ok) {
-    let errorDetail = '';
-    try {
-      const errorBody = await response.text();
-      errorDetail = errorBody ? ` Body: ${errorBody}` : '';
-    } catch (readError) {
-      errorDetail = ` (unable to read error body: ${readError.message})`;
-    }
-
-    if (
-      response.status === 504 &&
-      spanSeconds !== null &&
-      spanSeconds > 3_600 &&
-      depth < 5 &&
-      typeof segment.from === 'number' &&
-      typeof segment.to === 'number'
-    ) {
-      const midpoint = segment.from + Math.floor(spanSeconds / 2);
-      if (midpoint > segment.from && midpoint < segment.to) {
-        const firstLogs = await fetchSegmentLogs(
-          { from: segment.from, to: midpoint },
-          headers,
-          baseUrl,
-          signal,
-          depth + 1
-        );
-        const secondLogs = await fetchSegmentLogs(
-          { from: midpoint, to: segment.to },
-          headers,
-          baseUrl,
-          signal,
-          depth + 1
-        );
-        return [...firstLogs, ...secondLogs];
-      }
-    }
-
-    throw new Error(`Cloudflare API responded with status ${response.status}.${errorDetail}`);
+  if (req.identity) {
+    return next();
+  }
+  if (authenticator.acceptsPasswords) {
+    res.set('WWW-Authenticate', 'Basic realm="bbstats", charset="UTF-8"');
   }
+  return req.path.startsWith('/api/')
+    ? res.status(401).json({ error: 'Authentication required.' })
+    : res.status(401).type('text').send('Authentication required.');
+});
 
-  const payload = await response.json();
-  const logs = Array.isArray(payload?.result?.logs) ? payload.result.logs : [];
+// What a request sees passes through a redaction profile (see lib/redaction.js): the admin
+// profile for admins (by default none) and the viewer profile for everyone else.
+const redactionOptions = resolveRedactionOptions(process.env);
+const viewerRedactor = createRedactor(redactionOptions.profile, { key: redactionOptions.key });
+const adminRedactor = createRedactor(redactionOptions.adminProfile, { key: redactionOptions.key });
+new Set([...viewerRedactor.warnings, ...adminRedactor.warnings]).forEach((message) =>
+  console.warn(`[Redaction] ${message}`)
+);
 
-  return logs;
+function redactorFor(identity) {
+  return isAdmin(identity) ? adminRedactor : viewerRedactor;
 }
 
-async function fetchGatewayLogs(rangeDescriptor, headers = {}, options = {}) {
-  const baseUrl = `https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway-analytics/activities`;
-  const { signal } = options;
-  const nowSeconds = Math.floor(Date.now() / 1000);
-  const segments = buildSegments(rangeDescriptor, nowSeconds);
-  const unlimitedLogs = Number.POSITIVE_INFINITY;
-  const maxLogs = rangeDescriptor.days === null ? 200000 : unlimitedLogs;
-  const collectedLogs = [];
-  const debug = {
-    originalRangeKey: rangeDescriptor.key,
-    originalRangeLabel: rangeDescriptor.label,
-    requestedRangeKey: rangeDescriptor.key,
-    requestedRangeLabel: rangeDescriptor.label,
-    effectiveRangeKey: rangeDescriptor.key,
-    effectiveRangeLabel: rangeDescriptor.label,
-    segmentsPlanned: segments.length,
-    segmentsAttempted: 0,
-    segmentsSucceeded: 0,
-    segmentsFailed: 0,
-    fallbackUsed: false,
-    messages: [],
-  };
-
-  const formatSegmentBoundary = (value) =>
-    typeof value === 'number' ? new Date(value * 1000).toISOString() : 'latest';
-
-  for (const segment of segments) {
-    if (signal?.aborted) {
-      debug.messages.push('Fetch aborted before completing all segments.');
-      break;
-    }
-
-    debug.segmentsAttempted += 1;
-    const segmentLabel = `Segment ${debug.segmentsAttempted}/${segments.length} – range ${rangeDescriptor.key} (from=${formatSegmentBoundary(
-      segment.from
-    )}, to=${formatSegmentBoundary(segment.to)})`;
-    debug.messages.push(segmentLabel);
-    console.info(`[Cloudflare] ${segmentLabel}`);
-
-    try {
-      const logs = await fetchSegmentLogs(segment, headers, baseUrl, signal);
-      collectedLogs.push(...logs);
-      debug.segmentsSucceeded += 1;
-      debug.messages.push(
-        `Segment ${debug.segmentsAttempted} returned ${logs.length} logs (accumulated ${collectedLogs.length}).`
-      );
-      console.info(
-        `[Cloudflare] Segment ${debug.segmentsAttempted}/${segments.length} succeeded with ${logs.length} logs (total ${collectedLogs.length}).`
-      );
-
-      if (logs.length === 0 && rangeDescriptor.days === null) {
-        debug.emptySegmentStreak = (debug.emptySegmentStreak || 0) + 1;
-        debug.messages.push(
-          `Segment ${debug.segmentsAttempted} returned no logs (empty streak ${debug.emptySegmentStreak}).`
-        );
-        if (debug.emptySegmentStreak >= 3) {
-          debug.messages.push('Encountered three consecutive empty segments; stopping historical fetch.');
-          console.info('[Cloudflare] Three consecutive empty segments encountered; stopping historical fetch.');
-          break;
-        }
-      } else if (logs.length > 0 && debug.emptySegmentStreak) {
-        debug.messages.push('Resetting empty segment streak due to new data.');
-        debug.emptySegmentStreak = 0;
-      }
-    } catch (error) {
-      debug.segmentsFailed += 1;
-      const failureMessage = `Segment ${debug.segmentsAttempted} failed: ${error.message ?? error}`;
-      debug.messages.push(failureMessage);
-      console.warn(
-        `[Cloudflare] Segment fetch failed (from=${formatSegmentBoundary(
-          segment.from
-        )}, to=${formatSegmentBoundary(segment.to)}): ${error.message}`
-      );
-      continue;
-    }
-
-    if (collectedLogs.length >= maxLogs) {
-      debug.limitReached = true;
-      const limitMessage = `Stopping early after collecting ${collectedLogs.length} logs (limit ${maxLogs}).`;
-      debug.messages.push(limitMessage);
-      console.info(`[Cloudflare] ${limitMessage}`);
-      break;
-    }
+// The snapshots written by scripts/fetch-summary.js are redacted like API responses, and
+// viewers get no raw logs.
+const snapshotFiles = {
+  '/activity-summary.json': 'summary',
+  '/activity-raw.json': 'raw',
+};
+app.get(Object.keys(snapshotFiles), async (req, res, next) => {
+  const kind = snapshotFiles[req.path];
+  if (kind === 'raw' && !isAdmin(req.identity)) {
+    return res.status(403).json({ error: 'Raw logs need the admin role.' });
   }
-
-  if (!collectedLogs.length) {
-    debug.fallbackUsed = true;
-    debug.effectiveRangeKey = 'latest';
-    debug.effectiveRangeLabel = 'Latest 1000 records';
-    debug.messages.push('Primary range returned no logs; falling back to latest records.');
-    console.info('[Cloudflare] No logs returned for requested range; falling back to latest data.');
-    const fallbackLogs = await fetchSegmentLogs(
-      { from: null, to: null },
-      headers,
-      baseUrl,
-      signal
-    );
-    debug.totalLogs = fallbackLogs.length;
-    debug.segmentsPlanned += 1;
-    debug.segmentsAttempted += 1;
-    debug.segmentsSucceeded += 1;
-    debug.messages.push(`Fallback segment returned ${fallbackLogs.length} logs.`);
-    console.info(
-      `[Cloudflare] Fallback latest segment returned ${fallbackLogs.length} logs (segments succeeded ${debug.segmentsSucceeded}/${debug.segmentsAttempted}).`
+  try {
+    const snapshot = JSON.parse(await fs.readFile(path.join(__dirname, 'public', req.path), 'utf8'));
+    const redactor = redactorFor(req.identity);
+    res.json(
+      kind === 'raw' && Array.isArray(snapshot)
+        ? snapshot.map(redactor.redactLog)
+        : redactor.redactSummary(snapshot)
     );
-    return { logs: fallbackLogs, debug };
+  } catch (error) {
+    next(error.code === 'ENOENT' ? undefined : error);
   }
-
-  debug.totalLogs = collectedLogs.length;
-  const completionMessage = `Completed range ${rangeDescriptor.key}: gathered ${collectedLogs.length} logs across ${debug.segmentsSucceeded}/${debug.segmentsAttempted} segments.`;
-  debug.messages.push(completionMessage);
-  console.info(`[Cloudflare] ${completionMessage}`);
-
-  return { logs: collectedLogs, debug };
-}
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+});
 
 app.use(express.static(path.join(__dirname, 'public')));
 
-const blockPattern = /(dns|tls)?_?block/i;
-
-function isBlocked(log) {
-  const actionField = log?.action_name ?? log?.action ?? '';
-  if (blockPattern.test(actionField)) {
-    return true;
-  }
-  if (log?.blocked === true) {
-    return true;
-  }
-  if (typeof log?.decision === 'string' && /block/i.test(log.decision)) {
-    return true;
-  }
-  return false;
-}
-
-function extractDomain(log) {
-  const candidate = log?.query ?? log?.hostname ?? log?.sni ?? log?.domain ?? 'unknown';
-  return String(candidate).toLowerCase();
+// Each account caches each range under its own key.
+function rangeCacheKey(account, rangeKey) {
+  return `${account.id}:${rangeKey}`;
 }
 
-function summarizeLogs(logs) {
-  const domainCounts = new Map();
-  let blockedCount = 0;
-  let allowedCount = 0;
-
-  logs.forEach((log) => {
-    if (isBlocked(log)) {
-      blockedCount += 1;
-      const domain = extractDomain(log);
-      domainCounts.set(domain, (domainCounts.get(domain) ?? 0) + 1);
-    } else {
-      allowedCount += 1;
-    }
-  });
-
-  const topBlocked = Array.from(domainCounts.entries())
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
-    .map(([name, count]) => ({ name, count }));
-
-  return {
-    topBlocked,
-    totals: {
-      blocked: blockedCount,
-      allowed: allowedCount,
-    },
-  };
+// Custom from/to windows each get their own cache entry; keep only the most recent ones.
+function evictCustomRangeEntries() {
+  const customEntries = Array.from(rangeCache.entries())
+    .filter(([, entry]) => isCustomRange(resolveRange(entry.rangeKey)) && !entry.promise)
+    .sort((a, b) => b[1].fetchedAt - a[1].fetchedAt);
+  customEntries.slice(MAX_CUSTOM_RANGE_ENTRIES).forEach(([key]) => rangeCache.delete(key));
 }
 
-const DAY_IN_MS = 24 * 60 * 60 * 1000;
-
-function parseTimestampValue(value) {
-  if (value === null || value === undefined) {
-    return null;
+function rangeSpanDays(rangeDescriptor) {
+  if (rangeDescriptor.key === 'lifetime') {
+    return Number.POSITIVE_INFINITY;
   }
-
-  if (typeof value === 'number' && Number.isFinite(value)) {
-    if (value > 1e12) {
-      return value;
-    }
-    if (value > 1e5) {
-      return value * 1000;
-    }
-    return null;
-  }
-
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (!trimmed) {
-      return null;
-    }
-
-    const numeric = Number(trimmed);
-    if (!Number.isNaN(numeric)) {
-      return parseTimestampValue(numeric);
-    }
-
-    const parsed = Date.parse(trimmed);
-    return Number.isNaN(parsed) ? null : parsed;
-  }
-
-  return null;
+  return rangeDescriptor.days ?? 0;
 }
 
-function extractLogTimestamp(log) {
-  if (!log || typeof log !== 'object') {
-    return null;
-  }
-
-  const candidates = [
-    log.datetime,
-    log.timestamp,
-    log.time,
-    log.event_time,
-    log.log_time,
-    log.ts,
-    log.meta?.timestamp,
-    log.metadata?.timestamp,
-  ];
-
-  for (const candidate of candidates) {
-    const parsed = parseTimestampValue(candidate);
-    if (parsed !== null) {
-      return parsed;
+// Alerts are evaluated on one range per account, the longest one cached, so shorter ranges
+// (with less history to tell new domains from known ones) do not raise alerts of their own.
+function isAlertRange(rangeDescriptor, account) {
+  const span = rangeSpanDays(rangeDescriptor);
+  return Array.from(rangeCache.entries()).every(([key, entry]) => {
+    if (!key.startsWith(`${account.id}:`) || !entry.summary) {
+      return true;
     }
-  }
-
-  return null;
-}
-
-function formatRecordCount(count) {
-  return Number(count).toLocaleString();
-}
-
-function describeCoverage(rangeDescriptor, entries, totalCount) {
-  const knownTimestamps = entries
-    .map((entry) => entry.timestamp)
-    .filter((timestamp) => typeof timestamp === 'number' && Number.isFinite(timestamp));
-
-  if (!knownTimestamps.length) {
-    if (rangeDescriptor.days === null) {
-      return `Latest ${formatRecordCount(totalCount)} records`;
-    }
-    return `${rangeDescriptor.label} (limited to available records)`;
-  }
-
-  const latest = Math.max(...knownTimestamps);
-  const earliest = Math.min(...knownTimestamps);
-  const spanMs = Math.max(0, latest - earliest);
-  const spanDays = spanMs / DAY_IN_MS;
-
-  if (rangeDescriptor.days === null) {
-    if (spanDays >= 1) {
-      return `Latest ${formatRecordCount(totalCount)} records (~${Math.max(
-        1,
-        Math.round(spanDays)
-      )} days)`;
-    }
-    return `Latest ${formatRecordCount(totalCount)} records (past few hours)`;
-  }
-
-  if (spanDays >= rangeDescriptor.days - 0.5) {
-    return rangeDescriptor.label;
-  }
-
-  if (spanDays >= 1) {
-    return `Last ~${Math.max(1, Math.round(spanDays))} days`;
-  }
-
-  return 'Last few hours';
+    const cached = resolveRange(entry.rangeKey);
+    return isCustomRange(cached) || rangeSpanDays(cached) <= span;
+  });
 }
 
-function filterLogsByRange(logs, rangeDescriptor) {
-  if (!Array.isArray(logs) || logs.length === 0) {
-    return {
-      logs: [],
-      effectiveRange: rangeDescriptor.key,
-      effectiveRangeLabel: rangeDescriptor.label,
-    };
+// Runs the alert rules against a freshly fetched range of one account and posts new alerts to
+// the webhook. Only the longest cached range counts (see isAlertRange); custom windows are
+// skipped, since they usually end in the past. With several accounts, alert keys are prefixed
+// with the account ID so each account has its own cooldown.
+async function runAlertRules(rangeDescriptor, logs, account) {
+  if (!alertRules.length || isCustomRange(rangeDescriptor) || !isAlertRange(rangeDescriptor, account)) {
+    return;
   }
-
-  const enriched = logs.map((log) => ({
-    log,
-    timestamp: extractLogTimestamp(log),
+  const now = Date.now();
+  const alerts = evaluateAlertRules(alertRules, logs, now).map((alert) => ({
+    ...alert,
+    key: accounts.length > 1 ? `${account.id}:${alert.key}` : alert.key,
+    account: describeAccount(account),
   }));
-
-  if (rangeDescriptor.days === null) {
-    return {
-      logs,
-      effectiveRange: rangeDescriptor.key,
-      effectiveRangeLabel: describeCoverage(rangeDescriptor, enriched, logs.length),
-    };
+  const pending = selectAlertsToSend(alerts, alertHistory, now, alertCooldownMs);
+  if (!pending.length) {
+    return;
   }
-
-  const known = enriched.filter((entry) => entry.timestamp !== null);
-
-  if (!known.length) {
-    const fallbackLabel = `Latest ${formatRecordCount(logs.length)} records`;
-    return {
-      logs,
-      effectiveRange: 'latest',
-      effectiveRangeLabel: fallbackLabel,
-    };
+  pending.forEach((alert) => console.info(`[Alerts] ${alert.rule}: ${alert.message}`));
+  if (!alertWebhookUrl) {
+    return;
+  }
+  try {
+    await deliverAlerts(pending, {
+      fetch,
+      url: alertWebhookUrl,
+      range: rangeDescriptor,
+      signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT_MS),
+    });
+    console.info(`[Alerts] Sent ${pending.length} alert(s) to the webhook.`);
+  } catch (error) {
+    forgetAlerts(pending, alertHistory);
+    console.warn(`[Alerts] Webhook delivery failed; retrying after the next refresh: ${error.message}`);
   }
-
-  const maxTimestamp = known.reduce(
-    (max, entry) => (entry.timestamp > max ? entry.timestamp : max),
-    known[0].timestamp
-  );
-  const cutoff = maxTimestamp - rangeDescriptor.days * DAY_IN_MS;
-
-  const filteredEntries = enriched.filter(
-    (entry) => entry.timestamp === null || entry.timestamp >= cutoff
-  );
-  const filteredLogs = filteredEntries.map((entry) => entry.log);
-
-  return {
-    logs: filteredLogs,
-    effectiveRange: rangeDescriptor.key,
-    effectiveRangeLabel: describeCoverage(rangeDescriptor, filteredEntries, filteredLogs.length),
-  };
 }
 
 function isCacheValid(entry) {
   return Boolean(entry?.summary) && typeof entry.expiresAt === 'number' && entry.expiresAt > Date.now();
 }
 
-function dedupeLogs(logs) {
-  return Array.isArray(logs) ? logs : [];
-}
-
 function abortBackgroundPrefetch(reason) {
   if (backgroundPrefetch.controller && !backgroundPrefetch.controller.signal.aborted) {
     backgroundPrefetch.controller.abort();
@@ -527,7 +317,7 @@ function abortBackgroundPrefetch(reason) {
   backgroundPrefetch = { controller: null, promise: null };
 }
 
-function buildPrefetchQueue(startKey) {
+function buildPrefetchQueue(startKey, account) {
   const order = rangeOrder.filter((key) => rangeOptions[key]);
   if (!order.length) {
     return [];
@@ -539,7 +329,7 @@ function buildPrefetchQueue(startKey) {
   const queue = [];
   if (startIndex === -1) {
     uniqueOrder.forEach((key) => {
-      if (!isCacheValid(rangeCache.get(key))) {
+      if (!isCacheValid(rangeCache.get(rangeCacheKey(account, key)))) {
         queue.push(key);
       }
     });
@@ -548,7 +338,7 @@ function buildPrefetchQueue(startKey) {
 
   for (let i = 1; i < uniqueOrder.length; i += 1) {
     const key = uniqueOrder[(startIndex + i) % uniqueOrder.length];
-    if (!isCacheValid(rangeCache.get(key))) {
+    if (!isCacheValid(rangeCache.get(rangeCacheKey(account, key)))) {
       queue.push(key);
     }
   }
@@ -556,36 +346,42 @@ function buildPrefetchQueue(startKey) {
   return queue;
 }
 
-function scheduleBackgroundPrefetch(startKey) {
-  const queue = buildPrefetchQueue(startKey);
+// Prefetches the other named ranges of each account in `selectedAccounts`, one at a time.
+function scheduleBackgroundPrefetch(startKey, selectedAccounts) {
+  const queue = selectedAccounts.flatMap((account) =>
+    buildPrefetchQueue(startKey, account).map((rangeKey) => ({ account, rangeKey }))
+  );
   if (!queue.length) {
     return;
   }
+  const describeJob = ({ account, rangeKey }) =>
+    accounts.length > 1 ? `${account.name}/${rangeKey}` : rangeKey;
 
   abortBackgroundPrefetch('rescheduling');
 
   const controller = new AbortController();
   const signal = controller.signal;
 
-  console.info(`[Prefetch] Starting background prefetch for ranges: ${queue.join(', ')}`);
+  console.info(`[Prefetch] Starting background prefetch for ranges: ${queue.map(describeJob).join(', ')}`);
 
   const prefetchPromise = (async () => {
-    for (const rangeKey of queue) {
+    for (const job of queue) {
       if (signal.aborted) {
         break;
       }
       try {
-        await ensureRangeCached(resolveRange(rangeKey), {
+        await ensureRangeCached(resolveRange(job.rangeKey), {
+          account: job.account,
           signal,
           background: true,
           reason: 'background-prefetch',
         });
       } catch (error) {
         if (error.name === 'AbortError') {
-          console.info(`[Prefetch] Prefetch aborted while processing range ${rangeKey}.`);
+          console.info(`[Prefetch] Prefetch aborted while processing range ${describeJob(job)}.`);
           break;
         }
-        console.error(`[Prefetch] Failed to prefetch range ${rangeKey}:`, error);
+        console.error(`[Prefetch] Failed to prefetch range ${describeJob(job)}:`, error);
       }
     }
     if (!signal.aborted) {
@@ -602,15 +398,17 @@ function scheduleBackgroundPrefetch(startKey) {
   };
 }
 
+// Fetches and caches one range of one account (`options.account`, default the first).
 async function ensureRangeCached(rangeDescriptor, options = {}) {
   const {
+    account = accounts[0],
     forceRefresh = false,
     signal,
     background = false,
     reason = background ? 'background-prefetch' : 'user-request',
   } = options;
 
-  const cacheKey = rangeDescriptor.key;
+  const cacheKey = rangeCacheKey(account, rangeDescriptor.key);
   const existingEntry = rangeCache.get(cacheKey);
 
   if (!forceRefresh && isCacheValid(existingEntry)) {
@@ -635,6 +433,7 @@ async function ensureRangeCached(rangeDescriptor, options = {}) {
     return {
       summary: existingEntry.summary,
       meta,
+      logs: existingEntry.filteredLogs ?? [],
     };
   }
 
@@ -662,36 +461,28 @@ async function ensureRangeCached(rangeDescriptor, options = {}) {
 
   const fetchPromise = (async () => {
     try {
-      const headers = {
-        Authorization: `Bearer ${apiToken}`,
-        'Content-Type': 'application/json',
-      };
+      const fetchLogs = account.store ? fetchGatewayLogsWithStore : fetchGatewayLogs;
+      const { logs: rawLogs, debug } = await fetchLogs(rangeDescriptor, {
+        ...fetchOptions,
+        fetch,
+        accountId: account.id,
+        apiToken: account.apiToken,
+        signal: controller.signal,
+        logger: cloudflareLogger,
+        store: account.store,
+      });
 
-      const { logs: rawLogs, debug } = await fetchGatewayLogs(
+      const { summary, meta: summaryMeta, logs: filteredLogs } = summarizeGatewayLogs(
+        rawLogs,
         rangeDescriptor,
-        headers,
-        { signal: controller.signal }
+        debug,
+        summaryOptions
       );
-
-      const mergedRawLogs = dedupeLogs(rawLogs);
-
-      const effectiveDescriptor =
-        debug.effectiveRangeKey && debug.effectiveRangeKey !== rangeDescriptor.key
-          ? resolveRange(debug.effectiveRangeKey)
-          : rangeDescriptor;
-
-      const filtered = filterLogsByRange(mergedRawLogs, effectiveDescriptor);
       const fetchTimestamp = Date.now();
       const fetchedAtIso = new Date(fetchTimestamp).toISOString();
       const expiresAt = fetchTimestamp + CACHE_TTL_MS;
-      const summary = summarizeLogs(filtered.logs);
       const meta = {
-        ...debug,
-        filteredLogCount: filtered.logs.length,
-        effectiveRangeKey: filtered.effectiveRange,
-        effectiveRangeLabel: filtered.effectiveRangeLabel,
-        coverageDescription: filtered.effectiveRangeLabel,
-        totalLogs: mergedRawLogs.length,
+        ...summaryMeta,
         fetchedAt: fetchedAtIso,
         cacheExpiresAt: new Date(expiresAt).toISOString(),
         fromCache: false,
@@ -705,14 +496,21 @@ async function ensureRangeCached(rangeDescriptor, options = {}) {
       };
 
       rangeCache.set(cacheKey, {
+        rangeKey: rangeDescriptor.key,
         summary,
         meta: cacheMeta,
         fetchedAt: fetchTimestamp,
         expiresAt,
-        logs: mergedRawLogs,
+        logs: rawLogs,
+        filteredLogs,
+      });
+      evictCustomRangeEntries();
+      runAlertRules(rangeDescriptor, filteredLogs, account).catch((error) => {
+        console.warn(`[Alerts] Evaluating alert rules failed: ${error.message}`);
       });
+      publishRangeUpdate(rangeDescriptor, account, existingEntry?.filteredLogs, filteredLogs);
 
-      return { summary, meta };
+      return { summary, meta, logs: filteredLogs };
     } catch (error) {
       rangeCache.delete(cacheKey);
       if (error.name === 'AbortError') {
@@ -723,6 +521,7 @@ async function ensureRangeCached(rangeDescriptor, options = {}) {
   })();
 
   rangeCache.set(cacheKey, {
+    rangeKey: rangeDescriptor.key,
     summary: existingEntry?.summary ?? null,
     meta: existingEntry?.meta ?? null,
     fetchedAt: existingEntry?.fetchedAt ?? 0,
@@ -730,6 +529,7 @@ async function ensureRangeCached(rangeDescriptor, options = {}) {
     promise: fetchPromise,
     controller,
     logs: existingEntry?.logs ?? [],
+    filteredLogs: existingEntry?.filteredLogs ?? [],
   });
 
   try {
@@ -748,16 +548,330 @@ async function ensureRangeCached(rangeDescriptor, options = {}) {
   }
 }
 
+// The all-accounts view: the accounts' cached logs of one range summarized together. `results`
+// holds `{ meta, logs }` per account, in the order of `selectedAccounts`.
+function combineAccountRanges(selectedAccounts, rangeDescriptor, results) {
+  const effectiveKeys = new Set(results.map(({ meta }) => meta.effectiveRangeKey ?? rangeDescriptor.key));
+  const effectiveRange = effectiveKeys.size === 1 ? resolveRange(Array.from(effectiveKeys)[0]) : rangeDescriptor;
+  const logs = results.flatMap((result) => result.logs);
+  return {
+    summary: buildSummary(logs, effectiveRange, summaryOptions),
+    meta: {
+      ...results[0].meta,
+      effectiveRangeKey: effectiveRange.key,
+      effectiveRangeLabel: effectiveRange.label,
+      fromCache: results.every(({ meta }) => meta.fromCache),
+      totalLogs: logs.length,
+      duplicatesDropped: results.reduce((sum, { meta }) => sum + (meta.duplicatesDropped ?? 0), 0),
+      missingWindows: results.flatMap(({ meta }, index) =>
+        (meta.missingWindows ?? []).map((window) => ({ ...window, account: selectedAccounts[index].id }))
+      ),
+      accounts: results.map(({ meta, logs: accountLogs }, index) => ({
+        ...describeAccount(selectedAccounts[index]),
+        fetchedAt: meta.fetchedAt ?? meta.cachedAt ?? null,
+        fromCache: Boolean(meta.fromCache),
+        logCount: accountLogs.length,
+      })),
+    },
+    logs,
+  };
+}
+
+// Fetches (or reuses) a range for an account selection. Each account is fetched and cached on
+// its own; the all-accounts view combines them on every call.
+async function loadRange(selection, rangeDescriptor, options = {}) {
+  if (selection.accounts.length === 1) {
+    return ensureRangeCached(rangeDescriptor, { ...options, account: selection.accounts[0] });
+  }
+  const results = [];
+  for (const account of selection.accounts) {
+    results.push(await ensureRangeCached(rangeDescriptor, { ...options, account }));
+  }
+  return combineAccountRanges(selection.accounts, rangeDescriptor, results);
+}
+
+// Like loadRange, but only from what is already cached. Returns null while any account of
+// the selection has nothing cached for the range.
+function cachedRange(selection, rangeDescriptor) {
+  const entries = selection.accounts.map((account) => rangeCache.get(rangeCacheKey(account, rangeDescriptor.key)));
+  if (entries.some((entry) => !entry?.summary)) {
+    return null;
+  }
+  const results = entries.map((entry) => ({ meta: entry.meta ?? {}, logs: entry.filteredLogs ?? [] }));
+  return entries.length === 1
+    ? { ...results[0], summary: entries[0].summary }
+    : combineAccountRanges(selection.accounts, rangeDescriptor, results);
+}
+
+// The summary for one view of a cached range. Filters, non-default grouping and anomaly
+// settings run against the cached range logs, so changing the view never re-fetches.
+function summarizeView(cached, requestedRange, options = {}) {
+  const { filter = null, grouping = defaultDomainGrouping, anomalyOptions = summaryOptions.anomalies } = options;
+  let { summary, meta } = cached;
+  const effectiveRange = resolveRange(meta.effectiveRangeKey ?? requestedRange.key);
+  const matchedLogs = applyLogFilter(cached.logs, filter);
+
+  if (filter || !isDefaultDomainGrouping(grouping)) {
+    summary = buildSummary(matchedLogs, effectiveRange, {
+      ...summaryOptions,
+      grouping,
+      anomalies: anomalyOptions,
+    });
+    meta = { ...meta, matchedLogCount: matchedLogs.length, filter };
+  } else if (describeAnomalyOptions(anomalyOptions) !== describeAnomalyOptions(summaryOptions.anomalies)) {
+    summary = {
+      ...summary,
+      anomalies: detectAnomalies(matchedLogs, {
+        ...anomalyOptions,
+        grouping,
+        alignTo: summary.timeSeries,
+      }),
+    };
+  }
+  return { summary, meta, effectiveRange, matchedLogs };
+}
+
+// Viewers may not force refreshes, export raw logs or filter by user or device, since either
+// filter singles out a person's activity. Answers with a 403 and returns false for those
+// requests.
+function allowRequest(req, res, { forceRefresh = false, filter = null, rawLogs = false } = {}) {
+  if (isAdmin(req.identity)) {
+    return true;
+  }
+  const denied = forceRefresh
+    ? 'Forcing a refresh'
+    : rawLogs
+      ? 'Exporting raw logs'
+      : filter?.user
+        ? 'Filtering by user'
+        : filter?.device_id
+          ? 'Filtering by device'
+          : null;
+  if (!denied) {
+    return true;
+  }
+  res.status(403).json({ error: `${denied} needs the admin role.` });
+  return false;
+}
+
+function presentSummary(identity, summary) {
+  return redactorFor(identity).redactSummary(summary);
+}
+
+// Summarizes the window of the same length just before `rangeDescriptor`, which is fetched
+// and cached like any custom range. Relative ranges are anchored at their fetch time so the
+// earlier window (and its cache key) stays put while the current one is cached.
+async function loadComparison(selection, rangeDescriptor, meta, currentLogs, options = {}) {
+  const { filter, grouping, alignTo, signal } = options;
+  const anchorMs = Date.parse(meta.fetchedAt ?? meta.cachedAt ?? '') || Date.now();
+  const previousRange = buildPreviousRange(rangeDescriptor, Math.floor(anchorMs / 1000));
+  if (!previousRange) {
+    return null;
+  }
+  const previous = await loadRange(selection, previousRange, { signal, reason: 'comparison' });
+  return comparePeriods(currentLogs, applyLogFilter(previous.logs, filter), previousRange, {
+    grouping,
+    alignTo,
+  });
+}
+
+function sendStreamEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Pushes the cached summary of the client's range, in the client's view, as a `summary` event
+// shaped like the /api/activity-summary response.
+function sendStreamSummary(client) {
+  const cached = cachedRange(client.selection, client.range);
+  if (!cached) {
+    return;
+  }
+  const { summary, meta } = summarizeView(cached, client.range, client);
+  sendStreamEvent(client.res, 'summary', {
+    ...presentSummary(client.identity, summary),
+    account: client.selection.key,
+    requestedRange: client.range.key,
+    range: meta.effectiveRangeKey ?? client.range.key,
+    rangeLabel: meta.effectiveRangeLabel ?? client.range.label,
+    filter: client.filter,
+    meta,
+  });
+}
+
+// Tells stream clients watching `rangeDescriptor` of `account` that its cache changed: a fresh
+// summary for each, plus the blocked requests that were not in the previous logs. The first
+// fetch of a range only sends the summary.
+function publishRangeUpdate(rangeDescriptor, account, previousLogs, currentLogs) {
+  const clients = Array.from(streamClients).filter(
+    (client) => client.range.key === rangeDescriptor.key && client.selection.accounts.includes(account)
+  );
+  if (!clients.length) {
+    return;
+  }
+  const known = new Set((previousLogs || []).map(logIdentity));
+  const added = known.size ? currentLogs.filter((log) => !known.has(logIdentity(log))) : [];
+
+  clients.forEach((client) => {
+    try {
+      sendStreamSummary(client);
+      const blocked = applyLogFilter(added, client.filter).filter((log) => isBlocked(log));
+      if (blocked.length) {
+        sendStreamEvent(client.res, 'blocked', {
+          count: blocked.length,
+          events: blocked.slice(0, STREAM_EVENT_LIMIT).map(toBlockedSample),
+        });
+      }
+    } catch (error) {
+      console.warn(`[Stream] Failed to push an update for ${rangeDescriptor.key}: ${error.message}`);
+    }
+  });
+}
+
+// Fetches only the newest stretch of each streamed range and merges it into the cached entry,
+// so live dashboards see new logs without a full refresh. Expired entries get a normal refresh
+// instead, and custom windows are left alone.
+// Fetches the logs that arrived since the range was last polled, merges them into its cache
+// entry and publishes the change to stream clients. Logs that have aged out of a relative range
+// are dropped, so the range keeps its length between full refreshes.
+async function pollStreamedRange(cacheKey, account, rangeKey) {
+  const rangeDescriptor = resolveRange(rangeKey);
+  const entry = rangeCache.get(cacheKey);
+  if (isCustomRange(rangeDescriptor) || !entry?.summary || entry.promise) {
+    return;
+  }
+  if (!isCacheValid(entry)) {
+    await ensureRangeCached(rangeDescriptor, { account, background: true, reason: 'stream-poll' });
+    return;
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const sinceSeconds = Math.floor((entry.polledAt ?? entry.fetchedAt) / 1000) - STREAM_POLL_OVERLAP_SECONDS;
+  const fetchLogs = account.store ? fetchGatewayLogsWithStore : fetchGatewayLogs;
+  const { logs: recentLogs, debug: pollDebug } = await fetchLogs(createCustomRange(sinceSeconds, nowSeconds), {
+    ...fetchOptions,
+    fetch,
+    accountId: account.id,
+    apiToken: account.apiToken,
+    logger: cloudflareLogger,
+    store: account.store,
+  });
+  if (rangeCache.get(cacheKey) !== entry) {
+    return; // refreshed meanwhile; that refresh has already been published
+  }
+
+  const mergedLogs = dedupeLogs([...(entry.logs || []), ...recentLogs]);
+  const rangeStartMs = rangeDescriptor.days === null ? null : (nowSeconds - rangeDescriptor.days * 24 * 60 * 60) * 1000;
+  const rawLogs =
+    rangeStartMs === null
+      ? mergedLogs
+      : mergedLogs.filter((log) => {
+          const timestamp = extractLogTimestamp(log);
+          return timestamp === null || timestamp >= rangeStartMs;
+        });
+  // Records fetched again by the overlapping poll window count as dropped duplicates too.
+  const pollDuplicates =
+    (pollDebug.duplicatesDropped ?? 0) + (entry.logs?.length ?? 0) + recentLogs.length - mergedLogs.length;
+  const { summary, meta: summaryMeta, logs: filteredLogs } = summarizeGatewayLogs(
+    rawLogs,
+    rangeDescriptor,
+    { ...entry.meta, duplicatesDropped: (entry.meta?.duplicatesDropped ?? 0) + pollDuplicates },
+    summaryOptions
+  );
+  // A window that failed is asked for again on the next poll instead of being skipped.
+  const polledAt = pollDebug.missingWindows?.length ? entry.polledAt ?? entry.fetchedAt : Date.now();
+  if (pollDebug.missingWindows?.length) {
+    console.warn(`[Stream] Some new logs for ${rangeKey} could not be fetched; retrying them on the next poll.`);
+  }
+  rangeCache.set(cacheKey, {
+    ...entry,
+    summary,
+    meta: { ...summaryMeta, polledAt: new Date(polledAt).toISOString(), messages: [] },
+    logs: rawLogs,
+    filteredLogs,
+    polledAt,
+  });
+  if (filteredLogs.length !== (entry.filteredLogs?.length ?? 0) || rawLogs.length !== mergedLogs.length) {
+    runAlertRules(rangeDescriptor, filteredLogs, account).catch((error) => {
+      console.warn(`[Alerts] Evaluating alert rules failed: ${error.message}`);
+    });
+    publishRangeUpdate(rangeDescriptor, account, entry.filteredLogs, filteredLogs);
+  }
+}
+
+async function pollStreamedRanges() {
+  if (streamPollInFlight) {
+    return;
+  }
+  streamPollInFlight = true;
+  try {
+    const streamed = new Map();
+    streamClients.forEach((client) => {
+      client.selection.accounts.forEach((account) => {
+        streamed.set(rangeCacheKey(account, client.range.key), { account, rangeKey: client.range.key });
+      });
+    });
+    for (const [cacheKey, { account, rangeKey }] of streamed) {
+      // One range failing to poll does not hold up the others.
+      try {
+        await pollStreamedRange(cacheKey, account, rangeKey);
+      } catch (error) {
+        console.warn(`[Stream] Polling ${rangeKey} for ${describeAccount(account).name} failed: ${error.message}`);
+      }
+    }
+  } finally {
+    streamPollInFlight = false;
+  }
+}
+
+function updateStreamTimers() {
+  if (streamClients.size && !streamTimers) {
+    streamTimers = {
+      heartbeat: setInterval(() => {
+        streamClients.forEach((client) => client.res.write(': keep-alive\n\n'));
+      }, STREAM_HEARTBEAT_MS),
+      poll: streamOptions.pollSeconds
+        ? setInterval(pollStreamedRanges, streamOptions.pollSeconds * 1000)
+        : null,
+    };
+  } else if (!streamClients.size && streamTimers) {
+    clearInterval(streamTimers.heartbeat);
+    clearInterval(streamTimers.poll);
+    streamTimers = null;
+  }
+}
+
 app.get('/api/activity-summary', async (req, res) => {
-  if (!accountId || !apiToken) {
+  if (!accounts.length) {
     return res.status(500).json({
-      error: 'Missing CLOUDFLARE_ACCOUNT_ID or CLOUDFLARE_API_TOKEN.',
+      error: MISSING_ACCOUNTS_ERROR,
       topBlocked: [],
       totals: { blocked: 0, allowed: 0 },
     });
   }
 
   let requestedRange = resolveRange(defaultRangeKey);
+  let grouping = defaultDomainGrouping;
+  let comparison = null;
+  let anomalyOptions = summaryOptions.anomalies;
+  let selection;
+  try {
+    selection = parseAccountSelection(req.query, accounts);
+    requestedRange = resolveRangeRequest(req.query);
+    grouping = parseDomainGrouping(req.query);
+    comparison = parseComparison(req.query);
+    anomalyOptions = parseAnomalyOptions(req.query, summaryOptions.anomalies);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (comparison && requestedRange.days === null) {
+    return res.status(400).json({ error: 'Comparison needs a range with a fixed length.' });
+  }
+  const forceRefresh = req.query.force === '1' || req.query.force === 'true';
+  const filter = parseLogFilter(req.query);
+  if (!allowRequest(req, res, { forceRefresh, filter })) {
+    return;
+  }
+
   const requestController = new AbortController();
   const handleClose = () => {
     requestController.abort();
@@ -765,31 +879,42 @@ app.get('/api/activity-summary', async (req, res) => {
   req.on('close', handleClose);
 
   try {
-    const requestedRangeParam =
-      typeof req.query.range === 'string' ? req.query.range : defaultRangeKey;
-    requestedRange = resolveRange(requestedRangeParam);
-
     abortBackgroundPrefetch('user request');
-    const forceRefresh = req.query.force === '1' || req.query.force === 'true';
-
-    const { summary, meta } = await ensureRangeCached(requestedRange, {
+    const cached = await loadRange(selection, requestedRange, {
       signal: requestController.signal,
       background: false,
       reason: forceRefresh ? 'user-refresh' : 'user-request',
       forceRefresh,
     });
+    const { summary, meta, effectiveRange, matchedLogs } = summarizeView(cached, requestedRange, {
+      filter,
+      grouping,
+      anomalyOptions,
+    });
+
+    const comparisonSummary = comparison
+      ? await loadComparison(selection, effectiveRange, meta, matchedLogs, {
+          filter,
+          grouping,
+          alignTo: summary.timeSeries,
+          signal: requestController.signal,
+        })
+      : undefined;
 
     if (!res.headersSent) {
       res.json({
-        ...summary,
+        ...presentSummary(req.identity, summary),
+        account: selection.key,
         requestedRange: requestedRange.key,
         range: meta.effectiveRangeKey ?? requestedRange.key,
         rangeLabel: meta.effectiveRangeLabel ?? requestedRange.label,
+        filter,
+        comparison: comparisonSummary,
         meta,
       });
     }
 
-    scheduleBackgroundPrefetch(requestedRange.key);
+    scheduleBackgroundPrefetch(requestedRange.key, selection.accounts);
   } catch (error) {
     if (error.name === 'AbortError') {
       console.warn(
@@ -821,6 +946,228 @@ app.get('/api/activity-summary', async (req, res) => {
   }
 });
 
+// Who the dashboard is talking to, so it can hide what the role cannot use.
+app.get('/api/session', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    authEnabled: authenticator.enabled,
+    name: req.identity.name,
+    role: req.identity.role,
+    method: req.identity.method,
+  });
+});
+
+// The configured accounts for the dashboard's account switcher. `default` is the account used
+// when a request has no `account` parameter.
+app.get('/api/accounts', (_req, res) => {
+  res.json({
+    accounts: accounts.map(describeAccount),
+    default: accounts[0]?.id ?? null,
+  });
+});
+
+function createRequestSignal(req) {
+  const controller = new AbortController();
+  const handleClose = () => controller.abort();
+  req.on('close', handleClose);
+  return {
+    signal: controller.signal,
+    cleanup: () => req.off('close', handleClose),
+  };
+}
+
+app.get('/api/domain', async (req, res) => {
+  if (!accounts.length) {
+    return res.status(500).json({ error: MISSING_ACCOUNTS_ERROR });
+  }
+
+  const name = normalizeDomainQuery(req.query.name);
+  if (!name) {
+    return res.status(400).json({ error: 'Missing required "name" parameter.' });
+  }
+
+  let requestedRange;
+  let selection;
+  try {
+    selection = parseAccountSelection(req.query, accounts);
+    requestedRange = resolveRangeRequest(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const filter = parseLogFilter(req.query);
+  if (!allowRequest(req, res, { filter })) {
+    return;
+  }
+  const { signal, cleanup } = createRequestSignal(req);
+
+  try {
+    abortBackgroundPrefetch('domain request');
+    const { meta, logs } = await loadRange(selection, requestedRange, {
+      signal,
+      reason: 'domain-request',
+    });
+    const effectiveRange = resolveRange(meta.effectiveRangeKey ?? requestedRange.key);
+    const details = summarizeDomain(applyLogFilter(logs, filter), name, effectiveRange, {
+      policyNames: summaryOptions.policyNames,
+    });
+
+    res.json({
+      ...details,
+      // Viewers get compact samples, like the stream's `blocked` events, never raw records.
+      recentEvents: isAdmin(req.identity)
+        ? details.recentEvents.map(redactorFor(req.identity).redactLog)
+        : details.recentEvents.map(toBlockedSample),
+      account: selection.key,
+      filter,
+      requestedRange: requestedRange.key,
+      range: meta.effectiveRangeKey ?? requestedRange.key,
+      rangeLabel: meta.effectiveRangeLabel ?? requestedRange.label,
+      fetchedAt: meta.fetchedAt ?? meta.cachedAt ?? null,
+    });
+
+    scheduleBackgroundPrefetch(requestedRange.key, selection.accounts);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.warn(`[Cloudflare] Domain request aborted for ${name}: ${error.message}`);
+    } else {
+      console.error(`[Cloudflare] Failed to load domain details for ${name}:`, error);
+      if (!res.headersSent) {
+        res.status(502).json({ error: 'Unable to retrieve data from Cloudflare right now.' });
+      }
+    }
+  } finally {
+    cleanup();
+  }
+});
+
+// Server-sent events for live dashboards. Takes the same range, filter, grouping and anomaly
+// parameters as /api/activity-summary and sends `summary` events whenever that range's cache
+// is refreshed or polled, plus `blocked` events listing newly seen blocked requests.
+app.get('/api/stream', (req, res) => {
+  if (!accounts.length) {
+    return res.status(500).json({ error: MISSING_ACCOUNTS_ERROR });
+  }
+
+  let client;
+  try {
+    client = {
+      res,
+      identity: req.identity,
+      selection: parseAccountSelection(req.query, accounts),
+      range: resolveRangeRequest(req.query),
+      filter: parseLogFilter(req.query),
+      grouping: parseDomainGrouping(req.query),
+      anomalyOptions: parseAnomalyOptions(req.query, summaryOptions.anomalies),
+    };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!allowRequest(req, res, { filter: client.filter })) {
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write('retry: 10000\n\n');
+
+  streamClients.add(client);
+  updateStreamTimers();
+  if (
+    client.selection.accounts.every((account) =>
+      isCacheValid(rangeCache.get(rangeCacheKey(account, client.range.key)))
+    )
+  ) {
+    sendStreamSummary(client);
+  }
+
+  req.on('close', () => {
+    streamClients.delete(client);
+    updateStreamTimers();
+  });
+});
+
+// Streams a summary table or the filtered raw logs of a cached range as CSV, NDJSON or JSON.
+// Takes the same range, filter, grouping and anomaly parameters as /api/activity-summary.
+app.get('/api/export', async (req, res) => {
+  if (!accounts.length) {
+    return res.status(500).json({ error: MISSING_ACCOUNTS_ERROR });
+  }
+
+  let requestedRange;
+  let grouping;
+  let anomalyOptions;
+  let exportRequest;
+  let selection;
+  try {
+    selection = parseAccountSelection(req.query, accounts);
+    requestedRange = resolveRangeRequest(req.query);
+    grouping = parseDomainGrouping(req.query);
+    anomalyOptions = parseAnomalyOptions(req.query, summaryOptions.anomalies);
+    exportRequest = parseExportRequest(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const filter = parseLogFilter(req.query);
+  if (!allowRequest(req, res, { filter, rawLogs: exportRequest.kind === 'raw' })) {
+    return;
+  }
+  const { signal, cleanup } = createRequestSignal(req);
+
+  try {
+    abortBackgroundPrefetch('export request');
+    const cached = await loadRange(selection, requestedRange, { signal, reason: 'export-request' });
+    const { summary, meta, matchedLogs } =
+      exportRequest.kind === 'summary'
+        ? summarizeView(cached, requestedRange, { filter, grouping, anomalyOptions })
+        : { meta: cached.meta, matchedLogs: applyLogFilter(cached.logs, filter) };
+    const { rows, columns } = selectExportRows(exportRequest, {
+      summary: summary && presentSummary(req.identity, summary),
+      logs: matchedLogs,
+      redactLog: redactorFor(req.identity).redactLog,
+    });
+    const { contentType, extension } = exportFormats[exportRequest.format];
+    const rangeKey = meta.effectiveRangeKey ?? requestedRange.key;
+    const tableLimit = exportRequest.table ? summaryExportTables[exportRequest.table].limit : null;
+    const tableName = tableLimit ? `top${tableLimit}-${exportRequest.table}` : exportRequest.table ?? 'raw';
+    const nameParts = [tableName, ...(accounts.length > 1 ? [selection.key] : []), rangeKey];
+    const fileName = `bbstats-${nameParts.join('-').replace(/[^a-z0-9-]+/gi, '-')}.${extension}`;
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store',
+    });
+    for (const chunk of exportChunks(rows, { format: exportRequest.format, columns })) {
+      if (signal.aborted) {
+        break;
+      }
+      if (!res.write(chunk)) {
+        await once(res, 'drain', { signal });
+      }
+    }
+    res.end();
+
+    scheduleBackgroundPrefetch(requestedRange.key, selection.accounts);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.warn(`[Cloudflare] Export aborted for range ${requestedRange.key}: ${error.message}`);
+    } else {
+      console.error('[Cloudflare] Failed to export gateway activities:', error);
+      if (!res.headersSent) {
+        res.status(502).json({ error: 'Unable to retrieve data from Cloudflare right now.' });
+      } else {
+        res.destroy(error);
+      }
+    }
+  } finally {
+    cleanup();
+  }
+});
+
 app.get('*', (_req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
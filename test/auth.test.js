@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import test from 'node:test';
+
+import { createAuthenticator, hashPassword, verifyJwt } from '../lib/node/auth.js';
+
+const NOW_SECONDS = 1_800_000_000;
+
+function createKey(kid, alg = 'ES256') {
+  const { privateKey, publicKey } =
+    alg === 'EdDSA' ? crypto.generateKeyPairSync('ed25519') : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return { kid, alg, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg } };
+}
+
+function signJwt(key, claims, header = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: key.alg, kid: key.kid, ...header })}.${encode(claims)}`;
+  const signature =
+    key.alg === 'EdDSA'
+      ? crypto.sign(null, Buffer.from(data), key.privateKey)
+      : crypto.sign('sha256', Buffer.from(data), { key: key.privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+const first = createKey('first');
+const second = createKey('second', 'EdDSA');
+const keys = [first, second].map(({ kid, alg, jwk }) => ({
+  kid,
+  alg,
+  key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+}));
+const verify = (token, options = {}) => verifyJwt(token, keys, { nowSeconds: NOW_SECONDS, ...options });
+
+test('verifyJwt accepts a token signed by the key its kid names', () => {
+  assert.equal(verify(signJwt(first, { sub: 'a' })).sub, 'a');
+  assert.equal(verify(signJwt(second, { sub: 'b' })).sub, 'b');
+  assert.throws(() => verify(signJwt(first, { sub: 'a' }, { kid: 'second' })), /signature/);
+  assert.throws(() => verify(signJwt(first, { sub: 'a' }, { kid: 'unknown' })), /signature/);
+});
+
+test('verifyJwt rejects unsupported algorithms and algorithms a key is not meant for', () => {
+  const token = signJwt(first, { sub: 'a' });
+  const [, payload, signature] = token.split('.');
+  const withHeader = (header) => `${Buffer.from(JSON.stringify(header)).toString('base64url')}.${payload}.${signature}`;
+  assert.throws(() => verify(withHeader({ alg: 'none', kid: 'first' })), /unsupported algorithm/);
+  assert.throws(() => verify(withHeader({ alg: 'HS256', kid: 'first' })), /unsupported algorithm/);
+  assert.throws(() => verify(withHeader({ alg: 'ES384', kid: 'first' })), /signature/);
+  assert.throws(() => verify('not-a-token'), /malformed/);
+});
+
+test('verifyJwt checks exp and nbf with a minute of clock skew', () => {
+  assert.ok(verify(signJwt(first, { exp: NOW_SECONDS - 30 })));
+  assert.throws(() => verify(signJwt(first, { exp: NOW_SECONDS - 120 })), /expired/);
+  assert.ok(verify(signJwt(first, { nbf: NOW_SECONDS + 30 })));
+  assert.throws(() => verify(signJwt(first, { nbf: NOW_SECONDS + 120 })), /not yet valid/);
+});
+
+test('verifyJwt checks the issuer and audience when they are configured', () => {
+  const token = signJwt(first, { iss: 'https://team.example', aud: ['bbstats', 'other'] });
+  assert.ok(verify(token, { issuer: 'https://team.example', audience: 'bbstats' }));
+  assert.throws(() => verify(token, { issuer: 'https://elsewhere.example' }), /unexpected issuer/);
+  assert.throws(() => verify(token, { audience: 'another-app' }), /audience/);
+});
+
+test('failed passwords lock the user name out before scrypt runs again', async () => {
+  const authenticator = createAuthenticator({
+    users: { alice: { password: await hashPassword('correct horse'), role: 'admin' } },
+  });
+  const basic = (name, password) => ({
+    authorization: `Basic ${Buffer.from(`${name}:${password}`).toString('base64')}`,
+  });
+
+  await assert.rejects(authenticator.authenticate(basic('alice', 'wrong')), /rejected password/);
+  // Even the right password is refused while the name is locked.
+  await assert.rejects(authenticator.authenticate(basic('alice', 'correct horse')), /too many failed sign-ins/);
+  // Unknown names are rejected the same way as wrong passwords.
+  await assert.rejects(authenticator.authenticate(basic('mallory', 'guess')), /rejected password/);
+
+  await new Promise((resolve) => setTimeout(resolve, 600));
+  const identity = await authenticator.authenticate(basic('alice', 'correct horse'));
+  assert.deepEqual(identity, { name: 'alice', role: 'admin', method: 'password' });
+});
+
+test('parallel guesses queue for scrypt and see the lockout of the ones before them', async () => {
+  const authenticator = createAuthenticator({
+    users: { bob: { password: await hashPassword('secret'), role: 'viewer' } },
+  });
+  const guess = (password) =>
+    authenticator
+      .authenticate({ authorization: `Basic ${Buffer.from(`bob:${password}`).toString('base64')}` })
+      .then(
+        () => 'accepted',
+        (error) => error.message
+      );
+
+  const results = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(guess));
+  assert.ok(results.filter((message) => /rejected password/.test(message)).length <= 2);
+  assert.ok(results.filter((message) => /too many failed sign-ins/.test(message)).length >= 3);
+});
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { createCustomRange, fetchGatewayLogs } from '../lib/index.js';
+
+const HOUR_SECONDS = 60 * 60;
+const NOW_SECONDS = 1_800_000_000;
+
+// Serves `logs` (epoch seconds, newest first) like the Cloudflare API, without cursors.
+// `respond(from, to)` may return a status to answer with instead.
+function createStubApi(timestamps, respond = () => null) {
+  const logs = timestamps
+    .sort((a, b) => b - a)
+    .map((seconds, index) => ({ query_id: `q${index}`, datetime: new Date(seconds * 1000).toISOString() }));
+  const requests = [];
+  const fetch = async (url) => {
+    const params = new URL(url).searchParams;
+    const from = Number(params.get('from') ?? 0);
+    const to = Number(params.get('to') ?? Infinity);
+    requests.push({ from, to });
+    const status = respond(from, to);
+    if (status) {
+      return { ok: false, status, headers: { get: () => null }, text: async () => 'upstream timeout' };
+    }
+    const page = logs
+      .filter((log) => {
+        const seconds = Date.parse(log.datetime) / 1000;
+        return seconds >= from && seconds < to;
+      })
+      .slice(0, Number(params.get('limit')));
+    return { ok: true, status: 200, json: async () => ({ result: { logs: page } }) };
+  };
+  return { logs, requests, fetch };
+}
+
+const lastDay = createCustomRange(NOW_SECONDS - 24 * HOUR_SECONDS, NOW_SECONDS);
+const fetchOptions = (api, extra = {}) => ({
+  fetch: api.fetch,
+  accountId: 'a',
+  apiToken: 't',
+  nowSeconds: NOW_SECONDS,
+  maxRetryDelayMs: 1,
+  ...extra,
+});
+
+test('a window with more logs than a page is split in time until every log is fetched', async () => {
+  // 2,500 logs in the newest hour, one every 1.44 seconds.
+  const api = createStubApi(Array.from({ length: 2500 }, (_, index) => NOW_SECONDS - 1 - Math.floor(index * 1.44)));
+  const { logs, debug } = await fetchGatewayLogs(lastDay, fetchOptions(api));
+
+  assert.equal(logs.length, api.logs.length);
+  assert.equal(debug.saturated, false);
+  assert.equal(debug.splitSegments, 1);
+  assert.equal(debug.segmentTrees[0].split, 'saturation');
+  assert.ok(debug.segmentTrees[0].children.length > 0);
+});
+
+test('a window still saturated at the minimum span is reported and left out of fetchedWindows', async () => {
+  const burstSeconds = NOW_SECONDS - 2 * HOUR_SECONDS;
+  const api = createStubApi(Array.from({ length: 1500 }, () => burstSeconds));
+  const { logs, debug } = await fetchGatewayLogs(lastDay, fetchOptions(api));
+
+  assert.ok(logs.length < api.logs.length);
+  assert.equal(debug.saturated, true);
+  assert.equal(debug.saturatedSegments, 1);
+  assert.ok(debug.fetchedWindows.length > 0);
+  assert.ok(!debug.fetchedWindows.some(({ from, to }) => from <= burstSeconds && burstSeconds < to));
+});
+
+test('a 504 on a wide window is bisected instead of retried', async () => {
+  const api = createStubApi(
+    Array.from({ length: 300 }, (_, index) => NOW_SECONDS - 1 - index * 60),
+    (from, to) => (to - from > 2 * HOUR_SECONDS ? 504 : null)
+  );
+  const { logs, debug } = await fetchGatewayLogs(lastDay, fetchOptions(api));
+
+  assert.equal(logs.length, api.logs.length);
+  assert.equal(debug.retries, 0);
+  assert.deepEqual(debug.missingWindows, []);
+  assert.ok(debug.segmentTrees.some((tree) => tree.split === 'timeout'));
+  // Each window that timed out was asked for once.
+  const timedOut = api.requests.filter(({ from, to }) => to - from > 2 * HOUR_SECONDS);
+  assert.equal(new Set(timedOut.map(({ from, to }) => `${from}-${to}`)).size, timedOut.length);
+});
+
+test('a 504 on a window too narrow to split is retried and then reported missing', async () => {
+  const failing = createCustomRange(NOW_SECONDS - HOUR_SECONDS, NOW_SECONDS);
+  const api = createStubApi([NOW_SECONDS - 10], () => 504);
+  const { logs, debug } = await fetchGatewayLogs(failing, fetchOptions(api, { maxRetries: 2 }));
+
+  assert.equal(logs.length, 0);
+  assert.equal(debug.retries, 2);
+  assert.equal(api.requests.length, 3);
+  assert.deepEqual(debug.missingWindows, [{ from: NOW_SECONDS - HOUR_SECONDS, to: NOW_SECONDS }]);
+  assert.equal(debug.fallbackUsed, false);
+});
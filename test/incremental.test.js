@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { fetchGatewayLogsWithStore, mergeWindows, resolveRange } from '../lib/index.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+const NOW_SECONDS = 1_800_000_000;
+
+// 3,000 logs spread evenly over the 10 days before NOW_SECONDS, served newest first the way
+// the Cloudflare API does. `burstSeconds` adds 1,500 more logs in that one second, more than
+// a page holds, so its window stays saturated.
+function createStubApi({ burstSeconds = null } = {}) {
+  const spread = Array.from({ length: 3000 }, (_, index) => NOW_SECONDS - 60 - index * 288);
+  const burst = burstSeconds === null ? [] : Array.from({ length: 1500 }, () => burstSeconds);
+  const logs = [...spread, ...burst]
+    .sort((a, b) => b - a)
+    .map((seconds, index) => ({
+      query_id: `q${index}`,
+      datetime: new Date(seconds * 1000).toISOString(),
+      query_name: 'example.com',
+    }));
+  const requests = [];
+  const fetch = async (url) => {
+    const params = new URL(url).searchParams;
+    const from = Number(params.get('from') ?? 0);
+    const to = Number(params.get('to') ?? Infinity);
+    const limit = Number(params.get('limit'));
+    requests.push({ from, to });
+    const page = logs
+      .filter((log) => {
+        const seconds = Date.parse(log.datetime) / 1000;
+        return seconds >= from && seconds < to;
+      })
+      .slice(0, limit);
+    return { ok: true, status: 200, json: async () => ({ result: { logs: page } }) };
+  };
+  return { logs, requests, fetch };
+}
+
+function createMemoryStore() {
+  const stored = new Map();
+  let windows = [];
+  return {
+    coveredWindows: async () => windows,
+    append: async (logs) => {
+      const before = stored.size;
+      logs.forEach((log) => stored.set(log.query_id, log));
+      return stored.size - before;
+    },
+    markCovered: async (covered) => {
+      windows = mergeWindows([...windows, ...covered]);
+    },
+    read: async () => Array.from(stored.values()),
+  };
+}
+
+test('lifetime after a bounded fetch walks the history before the stored windows', async () => {
+  const api = createStubApi();
+  const store = createMemoryStore();
+  const options = { fetch: api.fetch, store, nowSeconds: NOW_SECONDS, accountId: 'a', apiToken: 't' };
+
+  const week = await fetchGatewayLogsWithStore(resolveRange('7d'), options);
+  assert.ok(week.logs.length < api.logs.length);
+
+  const lifetime = await fetchGatewayLogsWithStore(resolveRange('lifetime'), options);
+  assert.equal(lifetime.logs.length, api.logs.length);
+  assert.equal(lifetime.debug.store.appendedLogs, api.logs.length - week.logs.length);
+  assert.equal(lifetime.debug.fallbackUsed, false);
+
+  // Once the walk has run out of history, it is covered back to the epoch and not repeated.
+  const [oldest] = await store.coveredWindows();
+  assert.equal(oldest.from, 0);
+  const requestsBefore = api.requests.length;
+  const again = await fetchGatewayLogsWithStore(resolveRange('lifetime'), options);
+  assert.equal(again.logs.length, api.logs.length);
+  assert.ok(api.requests.slice(requestsBefore).every(({ from }) => from >= NOW_SECONDS - DAY_SECONDS));
+});
+
+test('a first lifetime fetch records its coverage back to the epoch', async () => {
+  const api = createStubApi();
+  const store = createMemoryStore();
+  const options = { fetch: api.fetch, store, nowSeconds: NOW_SECONDS, accountId: 'a', apiToken: 't' };
+
+  const lifetime = await fetchGatewayLogsWithStore(resolveRange('lifetime'), options);
+  assert.equal(lifetime.logs.length, api.logs.length);
+  const [oldest] = await store.coveredWindows();
+  assert.equal(oldest.from, 0);
+});
+
+test('windows that stay saturated are not marked as covered', async () => {
+  const burstSeconds = NOW_SECONDS - 2 * DAY_SECONDS;
+  const api = createStubApi({ burstSeconds });
+  const store = createMemoryStore();
+  const options = { fetch: api.fetch, store, nowSeconds: NOW_SECONDS, accountId: 'a', apiToken: 't' };
+  const containsBurst = ({ from, to }) => from <= burstSeconds && burstSeconds < to;
+
+  const first = await fetchGatewayLogsWithStore(resolveRange('7d'), options);
+  assert.equal(first.debug.saturated, true);
+  const covered = await store.coveredWindows();
+  assert.ok(covered.length > 0);
+  assert.ok(!covered.some(containsBurst));
+
+  // The next refresh asks for the saturated window again, and nothing older.
+  const requestsBefore = api.requests.length;
+  await fetchGatewayLogsWithStore(resolveRange('7d'), options);
+  const retried = api.requests.slice(requestsBefore);
+  assert.ok(retried.some(containsBurst));
+  assert.ok(retried.every(({ from }) => from >= burstSeconds - 15 * 60));
+});
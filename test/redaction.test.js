@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import test from 'node:test';
+
+import { createRedactor, hmacSha256, parseRedactionProfile, sha256, toHex, truncateIp } from '../lib/index.js';
+
+test('sha256 and hmacSha256 match node:crypto across block boundaries', () => {
+  // RFC 4231, test case 2.
+  assert.equal(
+    toHex(hmacSha256('Jefe', 'what do ya want for nothing?')),
+    '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'
+  );
+  const keys = ['', 'k', 'x'.repeat(64), 'long key '.repeat(20)];
+  const messages = ['', 'abc', 'é ✓ 漢字', ...[55, 56, 63, 64, 65, 119, 128].map((length) => 'm'.repeat(length))];
+  messages.forEach((message) => {
+    assert.equal(toHex(sha256(message)), crypto.createHash('sha256').update(message).digest('hex'));
+    keys.forEach((key) => {
+      assert.equal(toHex(hmacSha256(key, message)), crypto.createHmac('sha256', key).update(message).digest('hex'));
+    });
+  });
+});
+
+test('truncateIp keeps the /24 of IPv4 and the /48 of IPv6 addresses', () => {
+  assert.equal(truncateIp('192.0.2.77'), '192.0.2.0');
+  assert.equal(truncateIp('2001:db8:1:2::5'), '2001:db8:1::');
+  assert.equal(truncateIp('2001:0db8:0001:0002:0003:0004:0005:0006'), '2001:db8:1::');
+  assert.equal(truncateIp('2001:db8::1'), '2001:db8::');
+  assert.equal(truncateIp('::1'), '::');
+  assert.equal(truncateIp('fe80::1%eth0'), 'fe80::');
+  assert.equal(truncateIp('not an address'), null);
+  assert.equal(truncateIp('1:2:3'), null);
+});
+
+test('parseRedactionProfile reads a profile name with field overrides', () => {
+  assert.deepEqual(parseRedactionProfile(''), { name: 'none', fields: {} });
+  assert.deepEqual(parseRedactionProfile('email:hash'), { name: 'none', fields: { email: 'hash' } });
+  const profile = parseRedactionProfile('SAFE, email:drop, source_ip:keep');
+  assert.equal(profile.name, 'safe');
+  assert.equal(profile.fields.email, 'drop');
+  assert.equal(profile.fields.source_ip, 'keep');
+  assert.equal(profile.fields.device_id, 'hash');
+  assert.equal(parseRedactionProfile(undefined, 'strict').name, 'strict');
+  assert.throws(() => parseRedactionProfile('secret'), RangeError);
+  assert.throws(() => parseRedactionProfile('safe,email:encrypt'), RangeError);
+  assert.throws(() => parseRedactionProfile('safe,email'), RangeError);
+});
+
+const log = {
+  query_name: 'example.com',
+  email: 'alice@example.com',
+  user_name: 'Alice',
+  device_id: 'device-1',
+  source_ip: '198.51.100.23',
+  resolved_ips: ['203.0.113.9', '2001:db8:5:6::1'],
+};
+
+test('createRedactor applies each action and hashes consistently with a key', () => {
+  const redactor = createRedactor(parseRedactionProfile('safe'), { key: 'secret' });
+  const redacted = redactor.redactLog(log);
+  assert.equal(redacted.query_name, 'example.com');
+  assert.equal(redacted.email, toHex(hmacSha256('secret', 'alice@example.com')).slice(0, 16));
+  assert.equal(redacted.email, redactor.redactLog({ email: 'alice@example.com' }).email);
+  assert.ok(!('user_name' in redacted));
+  assert.equal(redacted.source_ip, '198.51.100.0');
+  assert.deepEqual(redacted.resolved_ips, ['203.0.113.0', '2001:db8:5::']);
+  assert.deepEqual(redactor.warnings, []);
+  assert.deepEqual(redactor.hiddenFilters, ['user', 'device_id']);
+  // The input is left untouched.
+  assert.equal(log.email, 'alice@example.com');
+});
+
+test('createRedactor drops hashed fields without a key and says so', () => {
+  const redactor = createRedactor(parseRedactionProfile('safe'));
+  const redacted = redactor.redactLog(log);
+  assert.ok(!('email' in redacted));
+  assert.ok(!('device_id' in redacted));
+  assert.equal(redactor.fields.email, 'drop');
+  assert.match(redactor.warnings[0], /No redaction key is set/);
+});
+
+test('createRedactor hides only the filters whose fields it changes', () => {
+  assert.deepEqual(createRedactor(parseRedactionProfile('none')).hiddenFilters, []);
+  assert.deepEqual(createRedactor(parseRedactionProfile('email:drop')).hiddenFilters, ['user']);
+  assert.deepEqual(createRedactor(parseRedactionProfile('safe,email:keep,user_id:keep')).hiddenFilters, [
+    'device_id',
+  ]);
+  assert.equal(createRedactor(parseRedactionProfile('none')).redactLog(log), log);
+});
+
+test('createRedactor empties or hashes the Users and Devices tables', () => {
+  const summary = {
+    sources: {
+      users: { entries: [{ id: 'alice@example.com', name: 'Alice', blocked: 1 }], sourceCount: 1 },
+      devices: { entries: [{ id: 'device-1', name: 'Laptop', blocked: 1 }], sourceCount: 1 },
+      locations: { entries: [{ id: 'home', name: 'Home', blocked: 1 }], sourceCount: 1 },
+    },
+  };
+  const { sources } = createRedactor(parseRedactionProfile('safe,device_id:drop'), { key: 'secret' }).redactSummary(
+    summary
+  );
+  assert.deepEqual(sources.users.entries, [
+    { id: toHex(hmacSha256('secret', 'alice@example.com')).slice(0, 16), name: null, blocked: 1 },
+  ]);
+  assert.equal(sources.users.redacted, true);
+  assert.deepEqual(sources.devices, { entries: [], sourceCount: 0, redacted: true });
+  assert.equal(sources.locations, summary.sources.locations);
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  backoffDelay,
+  createRequestBudget,
+  createRequestLimiter,
+  parseRetryAfter,
+  requestWithRetry,
+} from '../lib/index.js';
+
+const response = (status, retryAfter = null) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => (name.toLowerCase() === 'retry-after' ? retryAfter : null) },
+  text: async () => '',
+});
+
+// Answers with `statuses` in turn and records the waits instead of sleeping.
+function createStub(statuses) {
+  const waits = [];
+  let calls = 0;
+  return {
+    waits,
+    get calls() {
+      return calls;
+    },
+    fetch: async () => {
+      const next = statuses[Math.min(calls, statuses.length - 1)];
+      calls += 1;
+      if (next instanceof Error) {
+        throw next;
+      }
+      return Array.isArray(next) ? response(...next) : response(next);
+    },
+    wait: async (ms) => {
+      waits.push(ms);
+    },
+  };
+}
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const nowMs = Date.parse('2026-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('120', nowMs), 120000);
+  assert.equal(parseRetryAfter('1.5', nowMs), 1500);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', nowMs), 30000);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', nowMs), 0);
+  assert.equal(parseRetryAfter('', nowMs), null);
+  assert.equal(parseRetryAfter(null, nowMs), null);
+  assert.equal(parseRetryAfter('soon', nowMs), null);
+});
+
+test('backoffDelay doubles per attempt, stays within half and all of it and is capped', () => {
+  assert.equal(backoffDelay(0, { baseMs: 1000, random: () => 0 }), 500);
+  assert.equal(backoffDelay(0, { baseMs: 1000, random: () => 1 }), 1000);
+  assert.equal(backoffDelay(3, { baseMs: 1000, random: () => 1 }), 8000);
+  assert.equal(backoffDelay(10, { baseMs: 1000, maxDelayMs: 5000, random: () => 1 }), 5000);
+  assert.equal(backoffDelay(10, { baseMs: 1000, maxDelayMs: 5000, random: () => 0 }), 2500);
+});
+
+test('requestWithRetry retries retryable statuses and network errors until one succeeds', async () => {
+  const stub = createStub([503, new Error('socket hang up'), 429, 200]);
+  const retries = [];
+  const result = await requestWithRetry('https://api.example/x', {}, {
+    fetch: stub.fetch,
+    wait: stub.wait,
+    baseMs: 100,
+    onRetry: (retry) => retries.push(retry),
+  });
+  assert.equal(result.status, 200);
+  assert.equal(stub.calls, 4);
+  assert.deepEqual(
+    retries.map(({ attempt, status }) => [attempt, status]),
+    [
+      [1, 503],
+      [2, null],
+      [3, 429],
+    ]
+  );
+  stub.waits.forEach((wait, index) => {
+    assert.ok(wait >= (100 * 2 ** index) / 2 && wait <= 100 * 2 ** index);
+  });
+});
+
+test('requestWithRetry returns final statuses and the last response once retries run out', async () => {
+  const notFound = createStub([404]);
+  assert.equal((await requestWithRetry('u', {}, { fetch: notFound.fetch, wait: notFound.wait })).status, 404);
+  assert.equal(notFound.calls, 1);
+
+  const failing = createStub([502]);
+  const result = await requestWithRetry('u', {}, { fetch: failing.fetch, wait: failing.wait, maxRetries: 2 });
+  assert.equal(result.status, 502);
+  assert.equal(failing.calls, 3);
+
+  const offline = createStub([new Error('ECONNRESET')]);
+  await assert.rejects(
+    requestWithRetry('u', {}, { fetch: offline.fetch, wait: offline.wait, maxRetries: 1 }),
+    /ECONNRESET/
+  );
+});
+
+test('Retry-After sets the minimum wait, and one beyond the maximum ends the retries', async () => {
+  const patient = createStub([[429, '30'], 200]);
+  await requestWithRetry('u', {}, { fetch: patient.fetch, wait: patient.wait, baseMs: 10, maxDelayMs: 60000 });
+  assert.deepEqual(patient.waits, [30000]);
+
+  const impatient = createStub([[429, '120'], 200]);
+  const result = await requestWithRetry('u', {}, {
+    fetch: impatient.fetch,
+    wait: impatient.wait,
+    maxDelayMs: 60000,
+  });
+  assert.equal(result.status, 429);
+  assert.equal(impatient.calls, 1);
+});
+
+test('the request budget counts retries and stops requests once spent', async () => {
+  const budget = createRequestBudget(2);
+  const stub = createStub([503]);
+  await assert.rejects(
+    requestWithRetry('u', {}, { fetch: stub.fetch, wait: stub.wait, budget, maxRetries: 5 }),
+    (error) => error.name === 'RequestBudgetError'
+  );
+  assert.equal(stub.calls, 2);
+  assert.equal(budget.exhausted, true);
+  assert.equal(createRequestBudget(0).limit, Number.POSITIVE_INFINITY);
+});
+
+test('the limiter runs at most its concurrency at once, in order', async () => {
+  const limiter = createRequestLimiter(2);
+  const started = [];
+  let running = 0;
+  let peak = 0;
+  await Promise.all(
+    [1, 2, 3, 4, 5].map((id) =>
+      limiter.run(async () => {
+        started.push(id);
+        running += 1;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running -= 1;
+      })
+    )
+  );
+  assert.equal(peak, 2);
+  assert.deepEqual(started, [1, 2, 3, 4, 5]);
+  assert.equal(limiter.active, 0);
+  assert.equal(limiter.queued, 0);
+});